@@ -0,0 +1,173 @@
+/**
+ * Assemblies
+ *
+ * Reusable recipes of component line items (e.g. "Interior partition wall per LF"):
+ * - Each component carries a quantity-per-unit factor and its unit costs
+ * - Inserting an assembly with a takeoff quantity expands it into linked line items
+ * - Changing the takeoff quantity rescales every linked line
+ * - Assemblies belong to the user, not the project, so every project can use them
+ */
+
+import { toNonNegativeNumber } from './number-utils.js';
+import { normalizeCostCode } from './cost-codes.js';
+
+/**
+ * Assemblies offered to users who have not saved any of their own
+ */
+export const DEFAULT_ASSEMBLIES = [
+    {
+        id: 'interior-partition',
+        name: 'Interior Partition Wall (8\' high)',
+        unit: 'lf',
+        components: [
+            { description: 'Metal studs 3-5/8 in. @ 16 in. OC', unit: 'ea', factor: 0.75, material: 6.5, costCode: '09 22 16' },
+            { description: 'Top and bottom track', unit: 'lf', factor: 2, material: 1.1, costCode: '09 22 16' },
+            { description: '5/8 in. Type X drywall (2 layers)', unit: 'sqft', factor: 16, material: 0.55, labor: 0.45, costCode: '09 29 00' },
+            { description: 'Tape and finish', unit: 'sqft', factor: 8, material: 0.08, labor: 0.6, costCode: '09 29 00' },
+            { description: 'Framing labor', unit: 'lf', factor: 1, labor: 4.5, costCode: '09 22 16' }
+        ]
+    }
+];
+
+/**
+ * @typedef {Object} AssemblyComponent
+ * @property {string} description
+ * @property {string} unit
+ * @property {number} factor - Component quantity per unit of the assembly
+ * @property {number} material
+ * @property {number} labor
+ * @property {number} equipment
+ * @property {number} subcontract
+ * @property {string} costCode
+ */
+
+/**
+ * @typedef {Object} Assembly
+ * @property {string} id
+ * @property {string} name
+ * @property {string} unit - Takeoff unit of the assembly (e.g. "lf")
+ * @property {AssemblyComponent[]} components
+ */
+
+/**
+ * @typedef {Object} AssemblyInstance
+ * @property {string} id - Links the generated line items (item.assemblyInstanceId)
+ * @property {string} assemblyId - Library assembly it was inserted from
+ * @property {string} name
+ * @property {string} unit
+ * @property {number} quantity - Takeoff quantity
+ */
+
+/**
+ * Normalize a stored assembly component
+ *
+ * @param {Object} component
+ * @returns {AssemblyComponent}
+ */
+export function normalizeAssemblyComponent(component = {}) {
+    return {
+        description: (component.description || '').trim(),
+        unit: component.unit || 'ea',
+        factor: toNonNegativeNumber(component.factor),
+        material: toNonNegativeNumber(component.material),
+        labor: toNonNegativeNumber(component.labor),
+        equipment: toNonNegativeNumber(component.equipment),
+        subcontract: toNonNegativeNumber(component.subcontract),
+        costCode: normalizeCostCode(component.costCode)
+    };
+}
+
+/**
+ * Normalize a stored assembly, dropping components without a description
+ *
+ * @param {Object} assembly
+ * @param {number} [index]
+ * @returns {Assembly}
+ */
+export function normalizeAssembly(assembly = {}, index = 0) {
+    const components = Array.isArray(assembly.components) ? assembly.components : [];
+    return {
+        id: assembly.id ? String(assembly.id) : `assembly-${index + 1}`,
+        name: (assembly.name || '').trim() || 'Assembly',
+        unit: assembly.unit || 'ea',
+        components: components
+            .map(normalizeAssemblyComponent)
+            .filter(component => component.description)
+    };
+}
+
+/**
+ * Get the user's assembly library, falling back to the defaults for users who never saved one
+ *
+ * @param {Object} settings - User settings
+ * @returns {Assembly[]}
+ */
+export function getUserAssemblies(settings = {}) {
+    return (Array.isArray(settings.assemblies) ? settings.assemblies : DEFAULT_ASSEMBLIES).map(normalizeAssembly);
+}
+
+/**
+ * Normalize an assembly inserted into a project
+ *
+ * @param {Object} instance
+ * @param {number} [index]
+ * @returns {AssemblyInstance}
+ */
+export function normalizeAssemblyInstance(instance = {}, index = 0) {
+    return {
+        id: instance.id ? String(instance.id) : `assembly-instance-${index + 1}`,
+        assemblyId: String(instance.assemblyId || ''),
+        name: (instance.name || '').trim() || 'Assembly',
+        unit: instance.unit || 'ea',
+        quantity: toNonNegativeNumber(instance.quantity)
+    };
+}
+
+/**
+ * Get the assemblies inserted into a project
+ *
+ * @param {Object} project
+ * @returns {AssemblyInstance[]}
+ */
+export function getProjectAssemblyInstances(project = {}) {
+    return (Array.isArray(project.assemblyInstances) ? project.assemblyInstances : []).map(normalizeAssemblyInstance);
+}
+
+/**
+ * Quantity of a component line for a takeoff quantity, rounded to 4 decimals
+ *
+ * @param {number} factor
+ * @param {number} quantity
+ * @returns {number}
+ */
+export function scaleComponentQuantity(factor, quantity) {
+    return Math.round(toNonNegativeNumber(factor) * toNonNegativeNumber(quantity) * 10000) / 10000;
+}
+
+/**
+ * Expand an assembly into line items linked to an instance
+ *
+ * @param {Assembly} assembly
+ * @param {number} quantity - Takeoff quantity
+ * @param {string} instanceId
+ * @returns {Object[]} Line items
+ */
+export function expandAssembly(assembly, quantity, instanceId) {
+    return normalizeAssembly(assembly).components.map(component => ({
+        description: component.description,
+        quantity: scaleComponentQuantity(component.factor, quantity),
+        unit: component.unit,
+        material: component.material,
+        labor: component.labor,
+        surcharge: 0,
+        equipment: component.equipment,
+        subcontract: component.subcontract,
+        costCode: component.costCode,
+        crewId: null,
+        productionRate: 0,
+        taxable: null,
+        notes: '',
+        assemblyInstanceId: instanceId,
+        assemblyFactor: component.factor
+    }));
+}
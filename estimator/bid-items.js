@@ -0,0 +1,126 @@
+/**
+ * Bid Items
+ *
+ * Splits an estimate into the parts an owner is bidding on:
+ * - Base bid lines
+ * - Allowances, carried in the base bid but marked up only by the markups
+ *   flagged for allowances
+ * - Numbered add/deduct alternates, each priced on its own so the owner can
+ *   accept or reject it
+ *
+ * Fixed-amount markups are lump sums of the base bid, so they are never
+ * repeated on allowances or alternates.
+ */
+
+import { toNonNegativeNumber } from './number-utils.js';
+import { normalizeMarkup, MARKUP_TYPE } from './markup-stack.js';
+
+/**
+ * Line item bid types
+ */
+export const BID_TYPE = {
+    BASE: 'base',
+    ALLOWANCE: 'allowance',
+    ALTERNATE: 'alternate'
+};
+
+/**
+ * Alternate directions
+ */
+export const ALTERNATE_DIRECTION = {
+    ADD: 'add',
+    DEDUCT: 'deduct'
+};
+
+/**
+ * @typedef {Object} Alternate
+ * @property {number} number - Alternate number ("Alt 1")
+ * @property {string} description
+ * @property {'add'|'deduct'} direction - Whether accepting it adds to or deducts from the base bid
+ */
+
+/**
+ * Normalize a line item's bid type
+ *
+ * @param {any} value
+ * @returns {'base'|'allowance'|'alternate'}
+ */
+export function normalizeBidType(value) {
+    return Object.values(BID_TYPE).includes(value) ? value : BID_TYPE.BASE;
+}
+
+/**
+ * Normalize an alternate number to a positive whole number (0 when missing)
+ *
+ * @param {any} value
+ * @returns {number}
+ */
+export function normalizeAlternateNumber(value) {
+    return Math.floor(toNonNegativeNumber(value));
+}
+
+/**
+ * Normalize a stored alternate
+ *
+ * @param {Object} alternate
+ * @param {number} [index] - Position, used as the number when missing
+ * @returns {Alternate}
+ */
+export function normalizeAlternate(alternate = {}, index = 0) {
+    return {
+        number: normalizeAlternateNumber(alternate.number) || index + 1,
+        description: (alternate.description || '').trim(),
+        direction: alternate.direction === ALTERNATE_DIRECTION.DEDUCT ? ALTERNATE_DIRECTION.DEDUCT : ALTERNATE_DIRECTION.ADD
+    };
+}
+
+/**
+ * The alternate a line item belongs to, or 0 when it is not an alternate
+ *
+ * @param {Object} item - Line item with bidType and alternateNumber
+ * @returns {number}
+ */
+export function getLineAlternateNumber(item = {}) {
+    return normalizeBidType(item.bidType) === BID_TYPE.ALTERNATE ? normalizeAlternateNumber(item.alternateNumber) || 1 : 0;
+}
+
+/**
+ * Get a project's alternates, sorted by number. Numbers used by line items but never
+ * described get a plain "add" alternate so their lines are still priced.
+ *
+ * @param {Object} project
+ * @returns {Alternate[]}
+ */
+export function getProjectAlternates(project = {}) {
+    const alternates = new Map();
+    (Array.isArray(project.alternates) ? project.alternates : []).forEach((raw, index) => {
+        const alternate = normalizeAlternate(raw, index);
+        if (!alternates.has(alternate.number)) {
+            alternates.set(alternate.number, alternate);
+        }
+    });
+    (Array.isArray(project.lineItems) ? project.lineItems : []).forEach(item => {
+        const number = getLineAlternateNumber(item);
+        if (number && !alternates.has(number)) {
+            alternates.set(number, normalizeAlternate({ number }));
+        }
+    });
+    return Array.from(alternates.values()).sort((a, b) => a.number - b.number);
+}
+
+/**
+ * The markup stack as it applies to one bid item. Markups that do not apply are
+ * kept at zero so positions in the stack (e.g. the sales tax position) still line up.
+ *
+ * @param {Object[]} markups - The project's markup stack
+ * @param {'base'|'allowance'|'alternate'} bidType
+ * @returns {import('./markup-stack.js').Markup[]}
+ */
+export function getBidItemMarkups(markups, bidType) {
+    return markups.map((raw, index) => {
+        const markup = normalizeMarkup(raw, index);
+        if (bidType === BID_TYPE.BASE) return markup;
+        const applies = markup.type !== MARKUP_TYPE.FIXED && (bidType === BID_TYPE.ALTERNATE || markup.allowances);
+        return applies ? markup : { ...markup, value: 0 };
+    });
+}
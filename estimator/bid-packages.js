@@ -0,0 +1,237 @@
+/**
+ * Bid Packages (subcontractor bid leveling)
+ *
+ * Subcontracted scopes priced from competing quotes:
+ * - A package (e.g. "Electrical") lists the scope items every bidder should cover,
+ *   each with a plug: the amount carried when a bidder leaves the item out
+ * - Each quote has a base amount and marks every scope item included, excluded
+ *   or not mentioned; a quote may carry its own plug for an item (e.g. the
+ *   bidder's add price for an exclusion)
+ * - Leveling adds the plugs of the items a quote does not include to its base
+ *   amount, so the quotes compare on the same scope
+ * - The selected quote's leveled amount is the subcontract cost of the package's
+ *   line item (quantity 1, lump sum)
+ */
+
+import { toNonNegativeNumber } from './number-utils.js';
+import { normalizeCostCode } from './cost-codes.js';
+import { DEFAULT_ROUNDING_SETTINGS, roundAmount, sumAmounts } from './money.js';
+
+/**
+ * How a quote covers a scope item
+ */
+export const SCOPE_STATUS = {
+    INCLUDED: 'included',
+    EXCLUDED: 'excluded',
+    MISSING: 'missing'
+};
+
+/**
+ * @typedef {Object} ScopeItem
+ * @property {string} id
+ * @property {string} label - e.g. "Temporary power"
+ * @property {number} plug - Amount carried when a quote leaves the item out
+ */
+
+/**
+ * @typedef {Object} BidQuote
+ * @property {string} id
+ * @property {string} bidder
+ * @property {number} baseAmount - Quoted lump sum
+ * @property {Object<string, string>} scope - SCOPE_STATUS by scope item id (missing when absent)
+ * @property {Object<string, number>} plugs - The quote's own plugs, by scope item id
+ * @property {string} notes
+ */
+
+/**
+ * @typedef {Object} BidPackage
+ * @property {string} id
+ * @property {string} name
+ * @property {string} costCode
+ * @property {ScopeItem[]} scopeItems
+ * @property {BidQuote[]} quotes
+ * @property {string|null} selectedQuoteId
+ */
+
+/**
+ * @typedef {Object} LeveledQuote
+ * @property {string} quoteId
+ * @property {string} bidder
+ * @property {number} baseAmount
+ * @property {Array<{itemId: string, label: string, status: string, amount: number}>} plugs - Items the quote leaves out
+ * @property {number} plugTotal
+ * @property {number} leveledAmount - Base amount plus plugs
+ * @property {number} rank - 1 for the lowest leveled amount
+ */
+
+/**
+ * @typedef {Object} BidLeveling
+ * @property {LeveledQuote[]} quotes - In the package's order
+ * @property {string|null} lowQuoteId
+ * @property {LeveledQuote|null} selected
+ * @property {number} spread - Highest minus lowest leveled amount
+ */
+
+/**
+ * Normalize a quote's scope status
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+export function normalizeScopeStatus(value) {
+    return Object.values(SCOPE_STATUS).includes(value) ? value : SCOPE_STATUS.MISSING;
+}
+
+/**
+ * Normalize a stored scope item
+ *
+ * @param {Object} item
+ * @param {number} [index]
+ * @returns {ScopeItem}
+ */
+export function normalizeScopeItem(item = {}, index = 0) {
+    return {
+        id: item.id ? String(item.id) : `scope-${index + 1}`,
+        label: (item.label || '').trim() || `Scope item ${index + 1}`,
+        plug: toNonNegativeNumber(item.plug)
+    };
+}
+
+/**
+ * Normalize a stored quote
+ *
+ * @param {Object} quote
+ * @param {number} [index]
+ * @returns {BidQuote}
+ */
+export function normalizeBidQuote(quote = {}, index = 0) {
+    const scope = {};
+    Object.entries(quote.scope || {}).forEach(([itemId, status]) => {
+        const normalized = normalizeScopeStatus(status);
+        if (normalized !== SCOPE_STATUS.MISSING) scope[itemId] = normalized;
+    });
+    const plugs = {};
+    Object.entries(quote.plugs || {}).forEach(([itemId, value]) => {
+        if (value !== '' && value !== null && value !== undefined && Number.isFinite(parseFloat(value))) {
+            plugs[itemId] = toNonNegativeNumber(value);
+        }
+    });
+    return {
+        id: quote.id ? String(quote.id) : `quote-${index + 1}`,
+        bidder: (quote.bidder || '').trim() || `Bidder ${index + 1}`,
+        baseAmount: toNonNegativeNumber(quote.baseAmount),
+        scope,
+        plugs,
+        notes: (quote.notes || '').trim()
+    };
+}
+
+/**
+ * Normalize a stored bid package
+ *
+ * @param {Object} bidPackage
+ * @param {number} [index]
+ * @returns {BidPackage}
+ */
+export function normalizeBidPackage(bidPackage = {}, index = 0) {
+    const scopeItems = (Array.isArray(bidPackage.scopeItems) ? bidPackage.scopeItems : []).map(normalizeScopeItem);
+    const quotes = (Array.isArray(bidPackage.quotes) ? bidPackage.quotes : []).map(normalizeBidQuote);
+    const selectedQuoteId = bidPackage.selectedQuoteId ? String(bidPackage.selectedQuoteId) : null;
+    return {
+        id: bidPackage.id ? String(bidPackage.id) : `bid-package-${index + 1}`,
+        name: (bidPackage.name || '').trim() || `Bid package ${index + 1}`,
+        costCode: normalizeCostCode(bidPackage.costCode),
+        scopeItems,
+        quotes,
+        selectedQuoteId: quotes.some(quote => quote.id === selectedQuoteId) ? selectedQuoteId : null
+    };
+}
+
+/**
+ * Get a project's bid packages
+ *
+ * @param {Object} project
+ * @returns {BidPackage[]}
+ */
+export function getProjectBidPackages(project = {}) {
+    return (Array.isArray(project.bidPackages) ? project.bidPackages : []).map(normalizeBidPackage);
+}
+
+/**
+ * Level a package's quotes: each quote's base amount plus the plugs of the scope
+ * items it does not include
+ *
+ * @param {BidPackage} bidPackage
+ * @param {import('./money.js').RoundingSettings} [rounding]
+ * @returns {BidLeveling}
+ */
+export function levelBidPackage(bidPackage, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const { decimals = 2 } = rounding;
+    const quotes = bidPackage.quotes.map(quote => {
+        const plugs = bidPackage.scopeItems
+            .map(item => ({
+                itemId: item.id,
+                label: item.label,
+                status: normalizeScopeStatus(quote.scope[item.id]),
+                amount: quote.plugs[item.id] !== undefined ? quote.plugs[item.id] : item.plug
+            }))
+            .filter(plug => plug.status !== SCOPE_STATUS.INCLUDED);
+        const plugTotal = sumAmounts(plugs.map(plug => plug.amount), decimals);
+        return {
+            quoteId: quote.id,
+            bidder: quote.bidder,
+            baseAmount: roundAmount(quote.baseAmount, decimals),
+            plugs,
+            plugTotal,
+            leveledAmount: sumAmounts([quote.baseAmount, plugTotal], decimals),
+            rank: 0
+        };
+    });
+
+    const ranked = quotes.slice().sort((a, b) => a.leveledAmount - b.leveledAmount);
+    ranked.forEach((quote, index) => {
+        quote.rank = index > 0 && quote.leveledAmount === ranked[index - 1].leveledAmount ? ranked[index - 1].rank : index + 1;
+    });
+
+    return {
+        quotes,
+        lowQuoteId: ranked.length ? ranked[0].quoteId : null,
+        selected: quotes.find(quote => quote.quoteId === bidPackage.selectedQuoteId) || null,
+        spread: ranked.length ? roundAmount(ranked[ranked.length - 1].leveledAmount - ranked[0].leveledAmount, decimals) : 0
+    };
+}
+
+/**
+ * Write the selected quote into the package's line item (the line linked by
+ * bidPackageId, or a new one at the end). Packages without a selected quote
+ * leave the lines as they are.
+ *
+ * @param {Object[]} items - Line items
+ * @param {BidPackage} bidPackage
+ * @param {import('./money.js').RoundingSettings} [rounding]
+ * @returns {{lineItems: Object[], lineIndex: number}} New line objects for the changed line
+ *     (lineIndex -1 when nothing was written); the others are kept
+ */
+export function applyBidPackage(items, bidPackage, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const { selected } = levelBidPackage(bidPackage, rounding);
+    if (!selected) return { lineItems: items, lineIndex: -1 };
+
+    const fields = {
+        description: `${bidPackage.name} – ${selected.bidder}`,
+        quantity: 1,
+        quantityFormula: '',
+        unit: 'ls',
+        subcontract: selected.leveledAmount,
+        bidPackageId: bidPackage.id
+    };
+    if (bidPackage.costCode) fields.costCode = bidPackage.costCode;
+
+    const lineItems = items.slice();
+    const index = lineItems.findIndex(item => item.bidPackageId === bidPackage.id);
+    if (index >= 0) {
+        lineItems[index] = { ...lineItems[index], ...fields };
+        return { lineItems, lineIndex: index };
+    }
+    lineItems.push({ material: 0, labor: 0, equipment: 0, costCode: '', ...fields });
+    return { lineItems, lineIndex: lineItems.length - 1 };
+}
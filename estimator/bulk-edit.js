@@ -0,0 +1,200 @@
+/**
+ * Bulk Line Item Edits
+ *
+ * One change applied to a selection of line items at once:
+ * - Adjust a cost category's unit cost by a % or by a fixed amount per unit
+ *   (crew-priced labor comes from the crew, so those lines keep it)
+ * - Set the unit (the label only, nothing is converted), the labor surcharge %
+ *   or the waste %
+ * - Move the lines to a section, duplicate them or delete them
+ * A change can be previewed as its effect on the estimate total before it is applied.
+ */
+
+import { clampPercent } from './number-utils.js';
+import { normalizeCostCode } from './cost-codes.js';
+import { multiplyAmounts, sumAmounts } from './money.js';
+import { CATEGORY_COST_FIELDS, normalizeAdjustment } from './scenarios.js';
+import { calculateProjectEstimate } from './estimate-engine.js';
+
+/**
+ * Bulk actions
+ */
+export const BULK_ACTION = {
+    ADJUST_COST: 'adjust-cost',
+    SET_UNIT: 'set-unit',
+    SET_SURCHARGE: 'set-surcharge',
+    SET_WASTE: 'set-waste',
+    MOVE_TO_SECTION: 'move-to-section',
+    DUPLICATE: 'duplicate',
+    DELETE: 'delete'
+};
+
+/**
+ * How a cost adjustment's value is read
+ */
+export const BULK_ADJUSTMENT_MODE = {
+    PERCENT: 'percent',
+    AMOUNT: 'amount'
+};
+
+/**
+ * Decimal places adjusted unit costs are rounded to
+ */
+export const BULK_COST_DECIMALS = 4;
+
+/**
+ * @typedef {Object} BulkAction
+ * @property {string} type - One of BULK_ACTION
+ * @property {string} category - Cost category to adjust (adjust-cost)
+ * @property {'percent'|'amount'} mode - % change or amount added per unit (adjust-cost)
+ * @property {number} value - The adjustment, surcharge % or waste %
+ * @property {string} unit - New unit (set-unit)
+ * @property {string} sectionId - Target section, '' for no section (move-to-section)
+ */
+
+/**
+ * @typedef {Object} BulkPreview
+ * @property {number} lineCount - Selected lines
+ * @property {number} before - Estimate total now
+ * @property {number} after - Estimate total with the change
+ * @property {number} change - after minus before
+ */
+
+/**
+ * Normalize a bulk action
+ *
+ * @param {Object} action
+ * @returns {BulkAction}
+ */
+export function normalizeBulkAction(action = {}) {
+    const type = Object.values(BULK_ACTION).includes(action.type) ? action.type : BULK_ACTION.ADJUST_COST;
+    const mode = action.mode === BULK_ADJUSTMENT_MODE.AMOUNT ? BULK_ADJUSTMENT_MODE.AMOUNT : BULK_ADJUSTMENT_MODE.PERCENT;
+    let value = parseFloat(action.value) || 0;
+    if (type === BULK_ACTION.ADJUST_COST && mode === BULK_ADJUSTMENT_MODE.PERCENT) {
+        value = normalizeAdjustment(value);
+    } else if (type === BULK_ACTION.SET_SURCHARGE || type === BULK_ACTION.SET_WASTE) {
+        value = clampPercent(value);
+    }
+    return {
+        type,
+        category: Object.prototype.hasOwnProperty.call(CATEGORY_COST_FIELDS, action.category) ? action.category : 'materials',
+        mode,
+        value,
+        unit: String(action.unit || '').trim() || 'ea',
+        sectionId: action.sectionId ? String(action.sectionId) : ''
+    };
+}
+
+/**
+ * Lines listed under a section ('' = lines outside any section)
+ *
+ * @param {Object[]} items
+ * @param {string} sectionId
+ * @returns {number[]}
+ */
+export function selectLinesBySection(items, sectionId) {
+    const id = sectionId || '';
+    return items.reduce((indexes, item, index) => {
+        if ((item.sectionId || '') === id) indexes.push(index);
+        return indexes;
+    }, []);
+}
+
+/**
+ * Lines whose cost code starts with a code, so "03" selects the whole division
+ * and "03 30 00" a single code ('' = lines without a cost code)
+ *
+ * @param {Object[]} items
+ * @param {string} costCode
+ * @returns {number[]}
+ */
+export function selectLinesByCostCode(items, costCode) {
+    const code = normalizeCostCode(costCode);
+    return items.reduce((indexes, item, index) => {
+        const lineCode = normalizeCostCode(item.costCode);
+        if (code ? lineCode.startsWith(code) : !lineCode) indexes.push(index);
+        return indexes;
+    }, []);
+}
+
+function adjustUnitCost(value, action) {
+    const cost = parseFloat(value) || 0;
+    const adjusted = action.mode === BULK_ADJUSTMENT_MODE.AMOUNT
+        ? sumAmounts([cost, action.value], BULK_COST_DECIMALS)
+        : multiplyAmounts([cost, 100 + action.value], [100], BULK_COST_DECIMALS);
+    return Math.max(0, adjusted);
+}
+
+function editLine(item, action) {
+    switch (action.type) {
+        case BULK_ACTION.ADJUST_COST: {
+            if (action.category === 'labor' && item.crewId) return item;
+            const field = CATEGORY_COST_FIELDS[action.category];
+            return { ...item, [field]: adjustUnitCost(item[field], action) };
+        }
+        case BULK_ACTION.SET_UNIT:
+            return { ...item, unit: action.unit };
+        case BULK_ACTION.SET_SURCHARGE:
+            return { ...item, surcharge: action.value };
+        case BULK_ACTION.SET_WASTE:
+            return { ...item, waste: action.value };
+        case BULK_ACTION.MOVE_TO_SECTION:
+            return { ...item, sectionId: action.sectionId };
+        default:
+            return item;
+    }
+}
+
+// Copies get no id (a new one is assigned when they are added) and are not linked to an
+// assembly or a bid package
+function copyLine(item) {
+    const { id, assemblyInstanceId, assemblyFactor, bidPackageId, ...copy } = item;
+    return copy;
+}
+
+/**
+ * The project with a bulk action applied to the selected lines. Moved lines go
+ * to the end of their new section; duplicates are listed right after their originals.
+ *
+ * @param {Object} project
+ * @param {number[]} lineIndexes - Selected lines
+ * @param {Object} action
+ * @returns {Object} A new project object; the original is not changed
+ */
+export function applyBulkAction(project, lineIndexes, action) {
+    const normalized = normalizeBulkAction(action);
+    const items = Array.isArray(project.lineItems) ? project.lineItems : [];
+    const selected = new Set(lineIndexes);
+    let lineItems;
+
+    if (normalized.type === BULK_ACTION.DELETE) {
+        lineItems = items.filter((item, index) => !selected.has(index));
+    } else if (normalized.type === BULK_ACTION.DUPLICATE) {
+        lineItems = items.flatMap((item, index) => (selected.has(index) ? [item, copyLine(item)] : [item]));
+    } else if (normalized.type === BULK_ACTION.MOVE_TO_SECTION) {
+        // Lines are listed section by section, so the moved lines end up last in theirs
+        lineItems = [
+            ...items.filter((item, index) => !selected.has(index)),
+            ...items.filter((item, index) => selected.has(index)).map(item => editLine(item, normalized))
+        ];
+    } else {
+        lineItems = items.map((item, index) => (selected.has(index) ? editLine(item, normalized) : item));
+    }
+
+    return { ...project, lineItems };
+}
+
+/**
+ * The change in the estimate total a bulk action would make
+ *
+ * @param {Object} project
+ * @param {number[]} lineIndexes
+ * @param {Object} action
+ * @param {Object} [options] - Passed on to calculateProjectEstimate (e.g. a lineCache)
+ * @returns {BulkPreview}
+ */
+export function previewBulkAction(project, lineIndexes, action, options = {}) {
+    const before = calculateProjectEstimate(project, options).total;
+    const after = calculateProjectEstimate(applyBulkAction(project, lineIndexes, action), options).total;
+    return { lineCount: lineIndexes.length, before, after, change: sumAmounts([after, -before], 6) };
+}
@@ -0,0 +1,63 @@
+/**
+ * Cost Categories
+ *
+ * Every line item cost is split into these categories.
+ * Markups and other project-level adjustments can be limited to a subset of them.
+ */
+
+import { sumAmounts } from './money.js';
+
+/**
+ * Cost category keys, in display order
+ */
+export const COST_CATEGORIES = ['materials', 'labor', 'equipment', 'subcontract'];
+
+/**
+ * Display labels per cost category
+ */
+export const COST_CATEGORY_LABELS = {
+    materials: 'Materials',
+    labor: 'Labor',
+    equipment: 'Equipment',
+    subcontract: 'Subcontract'
+};
+
+/**
+ * Create a zeroed totals object with one entry per cost category
+ *
+ * @returns {Object<string, number>}
+ */
+export function createCategoryTotals() {
+    return COST_CATEGORIES.reduce((totals, category) => {
+        totals[category] = 0;
+        return totals;
+    }, {});
+}
+
+/**
+ * Keep only known categories. An empty or missing list means "all categories".
+ *
+ * @param {string[]} [categories]
+ * @returns {string[]}
+ */
+export function normalizeCategories(categories) {
+    const valid = Array.isArray(categories)
+        ? COST_CATEGORIES.filter(category => categories.includes(category))
+        : [];
+    return valid.length ? valid : [...COST_CATEGORIES];
+}
+
+/**
+ * Sum the given categories of a totals object
+ *
+ * @param {Object<string, number>} totals
+ * @param {string[]} [categories] - Defaults to all categories
+ * @param {number|null} [decimals] - Add exactly at this many decimal places (see money.js)
+ * @returns {number}
+ */
+export function sumCategories(totals, categories = COST_CATEGORIES, decimals = null) {
+    if (decimals !== null) {
+        return sumAmounts(categories.map(category => totals[category] || 0), decimals);
+    }
+    return categories.reduce((sum, category) => sum + (totals[category] || 0), 0);
+}
@@ -0,0 +1,240 @@
+/**
+ * Cost Codes
+ *
+ * CSI MasterFormat cost codes for line items:
+ * - Built-in list of MasterFormat divisions
+ * - User-defined codes per project (e.g. "09 29 00 Gypsum Board")
+ * - Default material waste % per user-defined code
+ * - Direct cost roll-up by division
+ */
+
+import { COST_CATEGORIES, createCategoryTotals, sumCategories } from './cost-categories.js';
+import { clampPercent } from './number-utils.js';
+import { DEFAULT_ROUNDING_SETTINGS, getLineDecimals, roundAmount, sumAmounts, allocateAmount } from './money.js';
+
+/**
+ * MasterFormat divisions (2018 edition)
+ */
+export const MASTERFORMAT_DIVISIONS = [
+    { code: '00', name: 'Procurement and Contracting Requirements' },
+    { code: '01', name: 'General Requirements' },
+    { code: '02', name: 'Existing Conditions' },
+    { code: '03', name: 'Concrete' },
+    { code: '04', name: 'Masonry' },
+    { code: '05', name: 'Metals' },
+    { code: '06', name: 'Wood, Plastics, and Composites' },
+    { code: '07', name: 'Thermal and Moisture Protection' },
+    { code: '08', name: 'Openings' },
+    { code: '09', name: 'Finishes' },
+    { code: '10', name: 'Specialties' },
+    { code: '11', name: 'Equipment' },
+    { code: '12', name: 'Furnishings' },
+    { code: '13', name: 'Special Construction' },
+    { code: '14', name: 'Conveying Equipment' },
+    { code: '21', name: 'Fire Suppression' },
+    { code: '22', name: 'Plumbing' },
+    { code: '23', name: 'Heating, Ventilating, and Air Conditioning (HVAC)' },
+    { code: '25', name: 'Integrated Automation' },
+    { code: '26', name: 'Electrical' },
+    { code: '27', name: 'Communications' },
+    { code: '28', name: 'Electronic Safety and Security' },
+    { code: '31', name: 'Earthwork' },
+    { code: '32', name: 'Exterior Improvements' },
+    { code: '33', name: 'Utilities' },
+    { code: '34', name: 'Transportation' },
+    { code: '35', name: 'Waterway and Marine Construction' },
+    { code: '40', name: 'Process Interconnections' },
+    { code: '41', name: 'Material Processing and Handling Equipment' },
+    { code: '42', name: 'Process Heating, Cooling, and Drying Equipment' },
+    { code: '43', name: 'Process Gas and Liquid Handling, Purification, and Storage Equipment' },
+    { code: '44', name: 'Pollution and Waste Control Equipment' },
+    { code: '45', name: 'Industry-Specific Manufacturing Equipment' },
+    { code: '46', name: 'Water and Wastewater Equipment' },
+    { code: '48', name: 'Electrical Power Generation' }
+];
+
+/**
+ * Division key for line items without a cost code
+ */
+export const UNASSIGNED_DIVISION = '';
+
+/**
+ * @typedef {Object} CostCode
+ * @property {string} code - e.g. "09 29 00"
+ * @property {string} name - e.g. "Gypsum Board"
+ * @property {number} waste - Default material waste (%) for lines with this code
+ */
+
+/**
+ * @typedef {Object} DivisionSummary
+ * @property {string} code - Two-digit division ('' for unassigned lines)
+ * @property {string} name
+ * @property {Object<string, number>} categoryTotals - Direct cost per cost category
+ * @property {number} total - Direct cost of the division
+ * @property {number} lineCount - Line items in the division
+ * @property {number[]|null} lineIndexes - Indexes of the project's line items in this division
+ *     (null when rolled up from running sums)
+ */
+
+/**
+ * Normalize a cost code string: trims and collapses whitespace
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+export function normalizeCostCode(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Normalize a user-defined cost code entry
+ *
+ * @param {Object} entry
+ * @returns {CostCode}
+ */
+export function normalizeCustomCostCode(entry = {}) {
+    return {
+        code: normalizeCostCode(entry.code),
+        name: (entry.name || '').trim(),
+        waste: clampPercent(entry.waste)
+    };
+}
+
+/**
+ * Get a project's user-defined cost codes
+ *
+ * @param {Object} project
+ * @returns {CostCode[]}
+ */
+export function getProjectCostCodes(project = {}) {
+    return (Array.isArray(project.costCodes) ? project.costCodes : [])
+        .map(normalizeCustomCostCode)
+        .filter(entry => entry.code);
+}
+
+/**
+ * Two-digit division of a cost code ("06 10 00" → "06", "9" → "09")
+ *
+ * @param {string} costCode
+ * @returns {string} Division code, or UNASSIGNED_DIVISION
+ */
+export function getDivisionCode(costCode) {
+    const code = normalizeCostCode(costCode);
+    const twoDigit = code.match(/^(\d{2})/);
+    if (twoDigit) return twoDigit[1];
+    const oneDigit = code.match(/^(\d)(?!\d)/);
+    return oneDigit ? `0${oneDigit[1]}` : UNASSIGNED_DIVISION;
+}
+
+/**
+ * Display name for a division, preferring the built-in MasterFormat title
+ *
+ * @param {string} divisionCode
+ * @param {CostCode[]} [customCodes]
+ * @returns {string}
+ */
+export function getDivisionName(divisionCode, customCodes = []) {
+    if (divisionCode === UNASSIGNED_DIVISION) return 'Unassigned';
+    const division = MASTERFORMAT_DIVISIONS.find(entry => entry.code === divisionCode);
+    if (division) return division.name;
+    const custom = customCodes.find(entry => normalizeCostCode(entry.code) === divisionCode);
+    return custom && custom.name ? custom.name : `Division ${divisionCode}`;
+}
+
+/**
+ * Default waste % for a cost code: the custom code itself (0% included), or else
+ * a custom code for its whole division (e.g. "09")
+ *
+ * @param {string} costCode
+ * @param {CostCode[]} [customCodes]
+ * @returns {number}
+ */
+export function getCostCodeWaste(costCode, customCodes = []) {
+    const code = normalizeCostCode(costCode);
+    if (!code) return 0;
+    const exact = customCodes.find(entry => normalizeCostCode(entry.code) === code);
+    if (exact) return clampPercent(exact.waste);
+    const division = getDivisionCode(code);
+    const divisionEntry = customCodes.find(entry => normalizeCostCode(entry.code) === division);
+    return divisionEntry ? clampPercent(divisionEntry.waste) : 0;
+}
+
+/**
+ * Roll line item direct costs up by division, sorted by division code (unassigned last)
+ *
+ * @param {Object[]} items - Line items (for their costCode)
+ * @param {{categoryTotals: Object<string, number>}[]} lineTotals - Matching calculateLineItem results
+ * @param {CostCode[]} [customCodes]
+ * @param {number[]} [lineIndexes] - Only roll up these lines (defaults to all)
+ * @param {import('./money.js').RoundingSettings} [rounding] - When lines carry extra precision,
+ *     the rounded category totals are split across divisions so they add up exactly
+ * @returns {DivisionSummary[]}
+ */
+export function summarizeByDivision(items, lineTotals, customCodes = [], lineIndexes = null, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const lineDecimals = getLineDecimals(rounding);
+    const divisions = new Map();
+    const included = lineIndexes ? new Set(lineIndexes) : null;
+
+    items.forEach((item, index) => {
+        if (included && !included.has(index)) return;
+        const code = getDivisionCode(item && item.costCode);
+        if (!divisions.has(code)) {
+            divisions.set(code, { code, categoryTotals: createCategoryTotals(), lineCount: 0, lineIndexes: [] });
+        }
+        const division = divisions.get(code);
+        COST_CATEGORIES.forEach(category => {
+            division.categoryTotals[category] = sumAmounts([division.categoryTotals[category], lineTotals[index].categoryTotals[category]], lineDecimals);
+        });
+        division.lineCount++;
+        division.lineIndexes.push(index);
+    });
+
+    return finishDivisions(Array.from(divisions.values()), customCodes, rounding);
+}
+
+/**
+ * Roll running sums of the line totals up by division (see createLineSums in estimate-engine.js)
+ *
+ * @param {Map<string, {lineCount: number, amounts: Object<string, number>}>} divisionSums - By division code
+ * @param {CostCode[]} [customCodes]
+ * @param {import('./money.js').RoundingSettings} [rounding]
+ * @returns {DivisionSummary[]}
+ */
+export function summarizeDivisionSums(divisionSums, customCodes = [], rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const divisions = Array.from(divisionSums, ([code, sum]) => ({
+        code,
+        categoryTotals: { ...sum.amounts },
+        lineCount: sum.lineCount,
+        lineIndexes: null
+    }));
+    return finishDivisions(divisions, customCodes, rounding);
+}
+
+// Names and sorts divisions whose category totals are still at line precision
+function finishDivisions(divisions, customCodes, rounding) {
+    const lineDecimals = getLineDecimals(rounding);
+    if (lineDecimals > rounding.decimals) {
+        COST_CATEGORIES.forEach(category => {
+            const amounts = divisions.map(division => division.categoryTotals[category]);
+            const total = roundAmount(sumAmounts(amounts, lineDecimals), rounding.decimals, rounding.mode);
+            allocateAmount(total, amounts, rounding.decimals).forEach((amount, index) => {
+                divisions[index].categoryTotals[category] = amount;
+            });
+        });
+    }
+
+    return divisions
+        .map(division => ({
+            code: division.code,
+            name: getDivisionName(division.code, customCodes),
+            categoryTotals: division.categoryTotals,
+            total: sumCategories(division.categoryTotals, COST_CATEGORIES, rounding.decimals),
+            lineCount: division.lineCount,
+            lineIndexes: division.lineIndexes
+        }))
+        .sort((a, b) => {
+            if (a.code === UNASSIGNED_DIVISION) return 1;
+            if (b.code === UNASSIGNED_DIVISION) return -1;
+            return a.code.localeCompare(b.code);
+        });
+}
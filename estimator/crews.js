@@ -0,0 +1,174 @@
+/**
+ * Crews
+ *
+ * Crew-based labor pricing:
+ * - Trades with a base wage and a burden % (payroll taxes, workers' comp, benefits)
+ * - Crews made of trades (e.g. 1 carpenter + 1 laborer)
+ * - Line items pick a crew and a production rate (units per crew-hour);
+ *   labor cost per unit, crew-hours and man-hours are derived from them
+ */
+
+import { toNonNegativeNumber } from './number-utils.js';
+
+/**
+ * Trades new projects start with
+ */
+export const DEFAULT_TRADES = [
+    { id: 'carpenter', name: 'Carpenter', wage: 38, burden: 35 },
+    { id: 'laborer', name: 'Laborer', wage: 24, burden: 35 },
+    { id: 'electrician', name: 'Electrician', wage: 45, burden: 38 },
+    { id: 'plumber', name: 'Plumber', wage: 44, burden: 38 },
+    { id: 'finisher', name: 'Drywall Finisher', wage: 34, burden: 35 }
+];
+
+/**
+ * Crews new projects start with
+ */
+export const DEFAULT_CREWS = [
+    { id: 'carpentry', name: 'Carpentry Crew', members: [{ tradeId: 'carpenter', count: 1 }, { tradeId: 'laborer', count: 1 }] },
+    { id: 'framing', name: 'Framing Crew', members: [{ tradeId: 'carpenter', count: 2 }, { tradeId: 'laborer', count: 1 }] },
+    { id: 'drywall', name: 'Drywall Crew', members: [{ tradeId: 'finisher', count: 2 }] }
+];
+
+/**
+ * @typedef {Object} Trade
+ * @property {string} id
+ * @property {string} name
+ * @property {number} wage - Base hourly wage
+ * @property {number} burden - Burden on top of the wage (%)
+ */
+
+/**
+ * @typedef {Object} Crew
+ * @property {string} id
+ * @property {string} name
+ * @property {{tradeId: string, count: number}[]} members
+ */
+
+/**
+ * @typedef {Object} CrewRate
+ * @property {number} hourlyCost - Burdened cost of the whole crew per hour
+ * @property {number} size - Number of workers in the crew
+ */
+
+/**
+ * @typedef {Object} CrewLabor
+ * @property {number} laborUnitCost - Labor cost per unit of the line
+ * @property {number} hourlyCost - Crew cost per hour
+ * @property {number} productionRate - Units the crew installs per hour
+ * @property {number} crewHours - Hours the crew spends on the line
+ * @property {number} manHours - crewHours × crew size
+ */
+
+/**
+ * Normalize a stored trade
+ *
+ * @param {Object} trade
+ * @param {number} [index]
+ * @returns {Trade}
+ */
+export function normalizeTrade(trade = {}, index = 0) {
+    return {
+        id: trade.id ? String(trade.id) : `trade-${index + 1}`,
+        name: (trade.name || '').trim() || 'Trade',
+        wage: toNonNegativeNumber(trade.wage),
+        burden: toNonNegativeNumber(trade.burden)
+    };
+}
+
+/**
+ * Normalize a stored crew, dropping empty members
+ *
+ * @param {Object} crew
+ * @param {number} [index]
+ * @returns {Crew}
+ */
+export function normalizeCrew(crew = {}, index = 0) {
+    const members = Array.isArray(crew.members) ? crew.members : [];
+    return {
+        id: crew.id ? String(crew.id) : `crew-${index + 1}`,
+        name: (crew.name || '').trim() || 'Crew',
+        members: members
+            .map(member => ({ tradeId: String(member.tradeId || ''), count: toNonNegativeNumber(member.count) }))
+            .filter(member => member.tradeId && member.count > 0)
+    };
+}
+
+/**
+ * Get a project's trades, falling back to the defaults for projects that predate crews
+ *
+ * @param {Object} project
+ * @returns {Trade[]}
+ */
+export function getProjectTrades(project = {}) {
+    return (Array.isArray(project.trades) ? project.trades : DEFAULT_TRADES).map(normalizeTrade);
+}
+
+/**
+ * Get a project's crews, falling back to the defaults for projects that predate crews
+ *
+ * @param {Object} project
+ * @returns {Crew[]}
+ */
+export function getProjectCrews(project = {}) {
+    return (Array.isArray(project.crews) ? project.crews : DEFAULT_CREWS).map(normalizeCrew);
+}
+
+/**
+ * Calculate the hourly cost and size of a crew
+ *
+ * @param {Crew} crew
+ * @param {Trade[]} trades
+ * @returns {CrewRate}
+ */
+export function calculateCrewRate(crew, trades) {
+    const tradesById = new Map(trades.map(trade => [trade.id, trade]));
+    return crew.members.reduce((rate, member) => {
+        const trade = tradesById.get(member.tradeId);
+        if (!trade) return rate;
+        rate.hourlyCost += member.count * trade.wage * (1 + trade.burden / 100);
+        rate.size += member.count;
+        return rate;
+    }, { hourlyCost: 0, size: 0 });
+}
+
+/**
+ * Build a lookup of crew rates by crew id for a project
+ *
+ * @param {Object} project - Project (or any object with trades/crews)
+ * @returns {Map<string, CrewRate>}
+ */
+export function createCrewRates(project = {}) {
+    const trades = getProjectTrades(project);
+    return new Map(getProjectCrews(project).map(crew => [crew.id, calculateCrewRate(crew, trades)]));
+}
+
+/**
+ * Derive labor for a line item priced by crew.
+ * Returns null when the line has no crew (or an unknown one) and uses a flat labor cost.
+ *
+ * @param {Object} item - Line item with crewId and productionRate (units per crew-hour)
+ * @param {number} quantity
+ * @param {Map<string, CrewRate>} crewRates
+ * @returns {CrewLabor|null}
+ */
+export function calculateCrewLabor(item, quantity, crewRates) {
+    if (!item || !item.crewId || !crewRates || !crewRates.has(item.crewId)) {
+        return null;
+    }
+
+    const rate = crewRates.get(item.crewId);
+    const productionRate = toNonNegativeNumber(item.productionRate);
+    if (productionRate === 0) {
+        return { laborUnitCost: 0, hourlyCost: rate.hourlyCost, productionRate, crewHours: 0, manHours: 0 };
+    }
+
+    const crewHours = quantity / productionRate;
+    return {
+        laborUnitCost: rate.hourlyCost / productionRate,
+        hourlyCost: rate.hourlyCost,
+        productionRate,
+        crewHours,
+        manHours: crewHours * rate.size
+    };
+}
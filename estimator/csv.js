@@ -0,0 +1,83 @@
+/**
+ * CSV
+ *
+ * Reading and writing the CSV exports:
+ * - Text fields are written quoted, with their quotes doubled ("2"" pipe, black")
+ * - A quoted field may hold commas, doubled quotes and line breaks
+ * - Records are split on the line breaks outside quoted fields
+ */
+
+/**
+ * Quote a text field
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+export function formatCSVText(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Split CSV text into records, keeping the line breaks inside quoted fields
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitCSVRecords(text) {
+    const records = [];
+    let record = '';
+    let quoted = false;
+    const source = String(text || '').replace(/\r\n?/g, '\n');
+
+    for (const char of source) {
+        // A doubled quote toggles twice, so it stays inside its field
+        if (char === '"') {
+            quoted = !quoted;
+        }
+        if (char === '\n' && !quoted) {
+            records.push(record);
+            record = '';
+        } else {
+            record += char;
+        }
+    }
+    records.push(record);
+    return records;
+}
+
+/**
+ * Split one CSV record into its fields
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+export function parseCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    const source = String(line || '');
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
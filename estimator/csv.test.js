@@ -0,0 +1,41 @@
+/**
+ * CSV tests
+ *
+ * Run with: node --test estimator/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatCSVText, splitCSVRecords, parseCSVLine } from './csv.js';
+
+test('a description with a comma and a quote survives a round trip', () => {
+    const description = 'Pipe, 2" black steel';
+    const line = `1,09 29 00,${formatCSVText(description)},10`;
+
+    assert.equal(line, '1,09 29 00,"Pipe, 2"" black steel",10');
+    assert.deepEqual(parseCSVLine(line), ['1', '09 29 00', description, '10']);
+});
+
+test('blank and missing text is an empty quoted field', () => {
+    assert.equal(formatCSVText(''), '""');
+    assert.equal(formatCSVText(undefined), '""');
+    assert.deepEqual(parseCSVLine('a,"",c'), ['a', '', 'c']);
+    assert.deepEqual(parseCSVLine('"""",b'), ['"', 'b']);
+});
+
+test('exports without quoted quotes still import', () => {
+    assert.deepEqual(parseCSVLine('Sales Tax,"$1,234.56"'), ['Sales Tax', '$1,234.56']);
+    assert.deepEqual(parseCSVLine('Framing,,10'), ['Framing', '', '10']);
+});
+
+test('line breaks inside a quoted field stay in its record', () => {
+    const notes = 'Two coats\n"Eggshell", per spec';
+    const text = `Line #,Notes\r\n1,${formatCSVText(notes)}\r\n2,Plain\n`;
+    const records = splitCSVRecords(text);
+
+    assert.equal(records.length, 4);
+    assert.deepEqual(parseCSVLine(records[1]), ['1', notes]);
+    assert.deepEqual(parseCSVLine(records[2]), ['2', 'Plain']);
+    assert.equal(records[3], '');
+});
@@ -0,0 +1,296 @@
+/**
+ * Currency
+ *
+ * Per-project money and number formatting:
+ * - Currency symbol and whether it goes before or after the amount
+ * - Decimal and thousands separators, and decimal places
+ * - Parsing of locale-formatted numbers typed by the user (e.g. "1.234,56")
+ * - An exchange-rate table for converting supplier quotes in other currencies
+ *   into the project currency
+ */
+
+/**
+ * @typedef {Object} CurrencyPreset
+ * @property {string} code - ISO currency code
+ * @property {string} name
+ * @property {string} symbol
+ * @property {'before'|'after'} symbolPosition
+ * @property {string} decimalSeparator
+ * @property {string} groupSeparator - Thousands separator ('' for none)
+ * @property {number} decimals
+ */
+
+/**
+ * Common currencies with their usual formatting
+ * @type {CurrencyPreset[]}
+ */
+export const CURRENCIES = [
+    { code: 'USD', name: 'US Dollar', symbol: '$', symbolPosition: 'before', decimalSeparator: '.', groupSeparator: ',', decimals: 2 },
+    { code: 'CAD', name: 'Canadian Dollar', symbol: 'CA$', symbolPosition: 'before', decimalSeparator: '.', groupSeparator: ',', decimals: 2 },
+    { code: 'EUR', name: 'Euro', symbol: '€', symbolPosition: 'after', decimalSeparator: ',', groupSeparator: '.', decimals: 2 },
+    { code: 'GBP', name: 'British Pound', symbol: '£', symbolPosition: 'before', decimalSeparator: '.', groupSeparator: ',', decimals: 2 },
+    { code: 'CHF', name: 'Swiss Franc', symbol: 'CHF', symbolPosition: 'before', decimalSeparator: '.', groupSeparator: "'", decimals: 2 },
+    { code: 'MXN', name: 'Mexican Peso', symbol: 'MX$', symbolPosition: 'before', decimalSeparator: '.', groupSeparator: ',', decimals: 2 },
+    { code: 'AUD', name: 'Australian Dollar', symbol: 'A$', symbolPosition: 'before', decimalSeparator: '.', groupSeparator: ',', decimals: 2 },
+    { code: 'SEK', name: 'Swedish Krona', symbol: 'kr', symbolPosition: 'after', decimalSeparator: ',', groupSeparator: ' ', decimals: 2 },
+    { code: 'JPY', name: 'Japanese Yen', symbol: '¥', symbolPosition: 'before', decimalSeparator: '.', groupSeparator: ',', decimals: 0 }
+];
+
+/**
+ * Decimal separators a project can use
+ */
+export const DECIMAL_SEPARATORS = ['.', ','];
+
+/**
+ * Thousands separators a project can use ('' for none)
+ */
+export const GROUP_SEPARATORS = [',', '.', ' ', "'", ''];
+
+/**
+ * Most decimal places a project can show
+ */
+export const MAX_DECIMALS = 4;
+
+/**
+ * @typedef {Object} ExchangeRate
+ * @property {string} currency - ISO code of the quote currency
+ * @property {number} rate - Project currency per one unit of the quote currency
+ */
+
+/**
+ * @typedef {Object} CurrencySettings
+ * @property {string} currency - ISO code of the project currency
+ * @property {string} symbol
+ * @property {'before'|'after'} symbolPosition
+ * @property {string} decimalSeparator
+ * @property {string} groupSeparator
+ * @property {number} decimals
+ * @property {ExchangeRate[]} exchangeRates
+ */
+
+/**
+ * Default currency settings (US dollars)
+ * @type {CurrencySettings}
+ */
+export const DEFAULT_CURRENCY_SETTINGS = {
+    currency: 'USD',
+    symbol: '$',
+    symbolPosition: 'before',
+    decimalSeparator: '.',
+    groupSeparator: ',',
+    decimals: 2,
+    exchangeRates: []
+};
+
+/**
+ * Normalize a currency code to upper-case letters
+ *
+ * @param {any} code
+ * @returns {string}
+ */
+export function normalizeCurrencyCode(code) {
+    return String(code || '').trim().toUpperCase().replace(/[^A-Z]/g, '').slice(0, 3);
+}
+
+/**
+ * Get the preset for a currency code
+ *
+ * @param {string} code
+ * @returns {CurrencyPreset|null}
+ */
+export function getCurrencyPreset(code) {
+    const normalized = normalizeCurrencyCode(code);
+    return CURRENCIES.find(currency => currency.code === normalized) || null;
+}
+
+/**
+ * Normalize a stored exchange rate
+ *
+ * @param {Object} rate
+ * @returns {ExchangeRate}
+ */
+export function normalizeExchangeRate(rate = {}) {
+    const value = parseFloat(rate.rate);
+    return {
+        currency: normalizeCurrencyCode(rate.currency),
+        rate: Number.isFinite(value) && value > 0 ? value : 0
+    };
+}
+
+/**
+ * Normalize stored currency settings. Missing fields fall back to the preset for
+ * the currency, then to US dollars.
+ *
+ * @param {Object} settings
+ * @returns {CurrencySettings}
+ */
+export function normalizeCurrencySettings(settings = {}) {
+    const currency = normalizeCurrencyCode(settings.currency) || DEFAULT_CURRENCY_SETTINGS.currency;
+    const preset = getCurrencyPreset(currency) || DEFAULT_CURRENCY_SETTINGS;
+    const decimalSeparator = DECIMAL_SEPARATORS.includes(settings.decimalSeparator)
+        ? settings.decimalSeparator
+        : preset.decimalSeparator;
+    let groupSeparator = GROUP_SEPARATORS.includes(settings.groupSeparator)
+        ? settings.groupSeparator
+        : preset.groupSeparator;
+    if (groupSeparator === decimalSeparator) {
+        groupSeparator = decimalSeparator === ',' ? '.' : ',';
+    }
+    const decimals = parseInt(settings.decimals, 10);
+    const symbol = typeof settings.symbol === 'string' && settings.symbol.trim() ? settings.symbol.trim() : preset.symbol;
+
+    const seen = new Set([currency]);
+    const exchangeRates = (Array.isArray(settings.exchangeRates) ? settings.exchangeRates : [])
+        .map(normalizeExchangeRate)
+        .filter(rate => {
+            if (!rate.currency || !rate.rate || seen.has(rate.currency)) return false;
+            seen.add(rate.currency);
+            return true;
+        });
+
+    return {
+        currency,
+        symbol,
+        symbolPosition: settings.symbolPosition === 'after' || settings.symbolPosition === 'before'
+            ? settings.symbolPosition
+            : preset.symbolPosition,
+        decimalSeparator,
+        groupSeparator,
+        decimals: Number.isFinite(decimals) ? Math.min(MAX_DECIMALS, Math.max(0, decimals)) : preset.decimals,
+        exchangeRates
+    };
+}
+
+/**
+ * Get a project's currency settings
+ *
+ * @param {Object} project
+ * @returns {CurrencySettings}
+ */
+export function getProjectCurrencySettings(project = {}) {
+    return normalizeCurrencySettings(project.currency);
+}
+
+/**
+ * Format a number with the project's separators
+ *
+ * @param {number} value
+ * @param {CurrencySettings} settings
+ * @param {number} [decimals] - Defaults to the project's decimal places
+ * @returns {string}
+ */
+export function formatNumber(value, settings = DEFAULT_CURRENCY_SETTINGS, decimals = settings.decimals) {
+    const number = Number(value) || 0;
+    const [whole, fraction] = Math.abs(number).toFixed(decimals).split('.');
+    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, settings.groupSeparator);
+    const negative = number < 0 && Number(Math.abs(number).toFixed(decimals)) !== 0;
+    return `${negative ? '-' : ''}${grouped}${fraction ? settings.decimalSeparator + fraction : ''}`;
+}
+
+/**
+ * Format an amount of money in the project currency, e.g. "$1,234.56" or "1.234,56 €"
+ *
+ * @param {number} value
+ * @param {CurrencySettings} settings
+ * @returns {string}
+ */
+export function formatMoney(value, settings = DEFAULT_CURRENCY_SETTINGS) {
+    const formatted = formatNumber(value, settings);
+    const negative = formatted.startsWith('-');
+    const amount = negative ? formatted.slice(1) : formatted;
+    const sign = negative ? '-' : '';
+    if (settings.symbolPosition === 'after') {
+        return `${sign}${amount} ${settings.symbol}`;
+    }
+    // Letter symbols ("CHF") read better with a space
+    const space = /[A-Za-z]$/.test(settings.symbol) ? ' ' : '';
+    return `${sign}${settings.symbol}${space}${amount}`;
+}
+
+/**
+ * Write a number the way the user would type it into an input: the project's
+ * decimal separator and no thousands separator
+ *
+ * @param {number} value
+ * @param {CurrencySettings} settings
+ * @returns {string}
+ */
+export function formatInputNumber(value, settings = DEFAULT_CURRENCY_SETTINGS) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return '';
+    return String(number).replace('.', settings.decimalSeparator);
+}
+
+/**
+ * Parse a number typed in either the project's format or plain "1234.56".
+ * Currency symbols, codes and spaces are ignored.
+ * - With both "." and ",", the last one is the decimal separator ("1.234,56", "1,234.56")
+ * - A separator used more than once is a thousands separator ("1.234.567")
+ * - A single separator followed by exactly three digits is read with the project's
+ *   decimal separator ("1.234" is 1234 in a "," project, 1.234 in a "." project)
+ *
+ * @param {any} text
+ * @param {CurrencySettings} settings
+ * @returns {number} NaN when the text holds no number
+ */
+export function parseLocaleNumber(text, settings = DEFAULT_CURRENCY_SETTINGS) {
+    if (typeof text === 'number') return text;
+    let cleaned = String(text ?? '')
+        .replace(/[\s'’]/g, '')
+        .replace(/[^\d.,-]/g, '');
+    const negative = cleaned.startsWith('-');
+    cleaned = cleaned.replace(/-/g, '');
+    if (!/\d/.test(cleaned)) return NaN;
+
+    const lastDot = cleaned.lastIndexOf('.');
+    const lastComma = cleaned.lastIndexOf(',');
+    let decimalSeparator = null;
+
+    if (lastDot >= 0 && lastComma >= 0) {
+        decimalSeparator = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot >= 0 || lastComma >= 0) {
+        const separator = lastDot >= 0 ? '.' : ',';
+        const occurrences = cleaned.split(separator).length - 1;
+        const digitsAfter = cleaned.length - cleaned.lastIndexOf(separator) - 1;
+        if (occurrences > 1) {
+            decimalSeparator = null;
+        } else if (digitsAfter === 3 && cleaned.indexOf(separator) > 0) {
+            decimalSeparator = separator === settings.decimalSeparator ? separator : null;
+        } else {
+            decimalSeparator = separator;
+        }
+    }
+
+    const normalized = decimalSeparator
+        ? cleaned.split(decimalSeparator === '.' ? ',' : '.').join('').replace(decimalSeparator, '.')
+        : cleaned.replace(/[.,]/g, '');
+    const value = parseFloat(normalized);
+    if (!Number.isFinite(value)) return NaN;
+    return negative ? -value : value;
+}
+
+/**
+ * Find the currency code typed with an amount, e.g. "1250 USD" or "USD 1,250"
+ *
+ * @param {any} text
+ * @returns {string} Upper-case code, or '' when none
+ */
+export function findCurrencyCode(text) {
+    const match = String(text ?? '').match(/(?:^|[\s\d.,])([A-Za-z]{3})(?=$|[\s\d.,])/);
+    return match ? match[1].toUpperCase() : '';
+}
+
+/**
+ * Convert an amount in another currency into the project currency
+ *
+ * @param {number} amount
+ * @param {string} fromCurrency - ISO code of the amount's currency
+ * @param {CurrencySettings} settings
+ * @returns {number|null} null when the table has no rate for the currency
+ */
+export function convertToProjectCurrency(amount, fromCurrency, settings = DEFAULT_CURRENCY_SETTINGS) {
+    const code = normalizeCurrencyCode(fromCurrency);
+    if (!code || code === settings.currency) return amount;
+    const rate = (settings.exchangeRates || []).find(candidate => candidate.currency === code);
+    return rate ? amount * rate.rate : null;
+}
@@ -0,0 +1,283 @@
+/**
+ * Edit History
+ *
+ * Undo/redo for an open project, kept as the project's current state plus a patch per step:
+ * - Each step stores what it changed (top-level fields such as markups or tax as JSON,
+ *   line items by id) before and after, the project id it belongs to and a label such
+ *   as "Remove line item"
+ * - Line objects are never changed in place, so unchanged lines are skipped by reference
+ *   and the patches share the changed ones instead of copying them
+ * - Undo and redo apply a step's patch backwards or forwards to the current state
+ * - Recording after an undo drops the steps that could have been redone
+ * - A project identical to the current state is not recorded
+ * - The oldest steps are dropped past a number of steps or a total patch size,
+ *   so large edits keep fewer steps
+ * - Histories of other projects are dropped, least recently used first, once all
+ *   histories together pass the size limit
+ */
+
+/**
+ * Steps kept per project before the oldest are dropped
+ */
+export const MAX_HISTORY_STEPS = 100;
+
+/**
+ * Characters of patch JSON kept before the oldest steps (and the histories of
+ * other projects) are dropped
+ */
+export const MAX_HISTORY_SIZE = 8 * 1024 * 1024;
+
+/**
+ * @typedef {Object} HistoryPatch
+ * @property {Object<string, {before: string|undefined, after: string|undefined}>} fields - Changed top-level fields as JSON
+ * @property {{id: string, before: Object|null, after: Object|null}[]} lines - Changed, added (no before) and removed (no after) line items
+ * @property {{before: string[], after: string[]}|null} order - Line ids in order, when lines were added, removed or moved
+ */
+
+/**
+ * @typedef {Object} HistoryStep
+ * @property {string} label - What the step did, e.g. "Edit line item"
+ * @property {string|null} projectId - Saved project the step belongs to
+ * @property {HistoryPatch|null} patch - Changes from the previous step (null for the oldest step)
+ * @property {number} size - Characters of patch JSON
+ */
+
+/**
+ * @typedef {Object} EditHistory
+ * @property {HistoryStep[]} steps - Oldest first
+ * @property {number} index - Step the project is at (-1 before anything is recorded)
+ * @property {{fields: Object<string, string>, lineItems: Object[]}|null} state - The project at that step
+ */
+
+/**
+ * Create an empty history
+ *
+ * @returns {EditHistory}
+ */
+export function createEditHistory() {
+    return { steps: [], index: -1, state: null };
+}
+
+function readHistoryState(project) {
+    const fields = {};
+    Object.keys(project).forEach(key => {
+        const json = key === 'lineItems' ? undefined : JSON.stringify(project[key]);
+        if (json !== undefined) fields[key] = json;
+    });
+    return { fields, lineItems: (project.lineItems || []).slice() };
+}
+
+function isSameLine(before, after) {
+    return before === after || JSON.stringify(before) === JSON.stringify(after);
+}
+
+function diffHistoryStates(before, after) {
+    const fields = {};
+    new Set([...Object.keys(before.fields), ...Object.keys(after.fields)]).forEach(key => {
+        if (before.fields[key] !== after.fields[key]) {
+            fields[key] = { before: before.fields[key], after: after.fields[key] };
+        }
+    });
+
+    const beforeLines = new Map(before.lineItems.map(line => [line.id, line]));
+    const afterLines = new Map(after.lineItems.map(line => [line.id, line]));
+    const lines = [];
+    beforeLines.forEach((line, id) => {
+        const next = afterLines.get(id);
+        if (!next || !isSameLine(line, next)) {
+            lines.push({ id, before: line, after: next || null });
+        }
+    });
+    afterLines.forEach((line, id) => {
+        if (!beforeLines.has(id)) lines.push({ id, before: null, after: line });
+    });
+
+    const beforeOrder = before.lineItems.map(line => line.id);
+    const afterOrder = after.lineItems.map(line => line.id);
+    const sameOrder = beforeOrder.length === afterOrder.length && beforeOrder.every((id, index) => id === afterOrder[index]);
+    const order = sameOrder ? null : { before: beforeOrder, after: afterOrder };
+
+    if (!Object.keys(fields).length && !lines.length && !order) {
+        return null;
+    }
+    return { fields, lines, order };
+}
+
+// side is 'before' to undo the patch or 'after' to redo it
+function applyPatch(state, patch, side) {
+    const fields = { ...state.fields };
+    Object.keys(patch.fields).forEach(key => {
+        const json = patch.fields[key][side];
+        if (json === undefined) {
+            delete fields[key];
+        } else {
+            fields[key] = json;
+        }
+    });
+
+    const lines = new Map(state.lineItems.map(line => [line.id, line]));
+    patch.lines.forEach(change => {
+        if (change[side]) {
+            lines.set(change.id, change[side]);
+        } else {
+            lines.delete(change.id);
+        }
+    });
+    const order = patch.order ? patch.order[side] : state.lineItems.map(line => line.id);
+    return { fields, lineItems: order.map(id => lines.get(id)) };
+}
+
+// The oldest step left holds no patch: nothing before it can be restored
+function dropOldestStep(history) {
+    history.steps.shift();
+    history.steps[0] = { ...history.steps[0], patch: null, size: 0 };
+}
+
+/**
+ * Record the project as the latest step, discarding any redo steps
+ *
+ * @param {EditHistory} history - Updated in place
+ * @param {Object} project - Its line objects must not be changed in place afterwards
+ * @param {Object} [options]
+ * @param {string} [options.label]
+ * @param {string|null} [options.projectId]
+ * @param {number} [options.limit] - Most steps kept
+ * @param {number} [options.maxSize] - Most patch characters kept; the latest step is always kept
+ * @returns {boolean} false when the project is unchanged since the current step
+ */
+export function recordHistoryStep(history, project, options = {}) {
+    const { label = 'Edit', projectId = null, limit = MAX_HISTORY_STEPS, maxSize = MAX_HISTORY_SIZE } = options;
+    const state = readHistoryState(project);
+    const patch = history.state ? diffHistoryStates(history.state, state) : null;
+    if (history.state && !patch) {
+        // Lines rebuilt with the same content are compared by reference from now on
+        history.state = state;
+        return false;
+    }
+    history.state = state;
+    history.steps = history.steps.slice(0, history.index + 1);
+    history.steps.push({ label, projectId, patch, size: patch ? JSON.stringify(patch).length : 0 });
+    while (history.steps.length > limit) {
+        dropOldestStep(history);
+    }
+    while (history.steps.length > 1 && getHistorySize(history) > maxSize) {
+        dropOldestStep(history);
+    }
+    history.index = history.steps.length - 1;
+    return true;
+}
+
+/**
+ * Characters of patch JSON a history holds
+ *
+ * @param {EditHistory} history
+ * @returns {number}
+ */
+export function getHistorySize(history) {
+    return history.steps.reduce((size, step) => size + step.size, 0);
+}
+
+/**
+ * Drop the histories of other projects, least recently used first, until all
+ * histories together fit the size limit
+ *
+ * @param {Map<string, EditHistory>} histories - By project id, least recently used first; updated in place
+ * @param {EditHistory} current - History of the open project, always kept
+ * @param {number} [maxSize]
+ */
+export function pruneEditHistories(histories, current, maxSize = MAX_HISTORY_SIZE) {
+    let size = getHistorySize(current);
+    histories.forEach(history => {
+        if (history !== current) size += getHistorySize(history);
+    });
+    for (const [projectId, history] of histories) {
+        if (size <= maxSize) break;
+        if (history === current) continue;
+        histories.delete(projectId);
+        size -= getHistorySize(history);
+    }
+}
+
+/**
+ * Give steps recorded before the project was first saved the id it was saved under,
+ * so undoing past the save does not turn it back into an unsaved copy
+ *
+ * @param {EditHistory} history - Updated in place
+ * @param {string} projectId
+ */
+export function assignHistoryProject(history, projectId) {
+    history.steps.forEach(step => {
+        if (!step.projectId) step.projectId = projectId;
+    });
+}
+
+/**
+ * @param {EditHistory} history
+ * @returns {boolean}
+ */
+export function canUndo(history) {
+    return history.index > 0;
+}
+
+/**
+ * @param {EditHistory} history
+ * @returns {boolean}
+ */
+export function canRedo(history) {
+    return history.index < history.steps.length - 1;
+}
+
+/**
+ * Label of the step undo would revert, or '' when there is none
+ *
+ * @param {EditHistory} history
+ * @returns {string}
+ */
+export function getUndoLabel(history) {
+    return canUndo(history) ? history.steps[history.index].label : '';
+}
+
+/**
+ * Label of the step redo would reapply, or '' when there is none
+ *
+ * @param {EditHistory} history
+ * @returns {string}
+ */
+export function getRedoLabel(history) {
+    return canRedo(history) ? history.steps[history.index + 1].label : '';
+}
+
+function readStep(history, step) {
+    const project = {};
+    Object.keys(history.state.fields).forEach(key => {
+        project[key] = JSON.parse(history.state.fields[key]);
+    });
+    project.lineItems = history.state.lineItems.slice();
+    return { projectId: step.projectId, project };
+}
+
+/**
+ * Step back
+ *
+ * @param {EditHistory} history - Updated in place
+ * @returns {{projectId: string|null, project: Object}|null} The project to restore, or null
+ */
+export function undoHistoryStep(history) {
+    if (!canUndo(history)) return null;
+    history.state = applyPatch(history.state, history.steps[history.index].patch, 'before');
+    history.index--;
+    return readStep(history, history.steps[history.index]);
+}
+
+/**
+ * Step forward again after an undo
+ *
+ * @param {EditHistory} history - Updated in place
+ * @returns {{projectId: string|null, project: Object}|null} The project to restore, or null
+ */
+export function redoHistoryStep(history) {
+    if (!canRedo(history)) return null;
+    history.index++;
+    history.state = applyPatch(history.state, history.steps[history.index].patch, 'after');
+    return readStep(history, history.steps[history.index]);
+}
@@ -0,0 +1,133 @@
+/**
+ * Edit history tests
+ *
+ * Run with: node --test estimator/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createEditHistory,
+    recordHistoryStep,
+    getHistorySize,
+    pruneEditHistories,
+    canUndo,
+    canRedo,
+    getUndoLabel,
+    undoHistoryStep,
+    redoHistoryStep
+} from './edit-history.js';
+
+function createHistory(names, options) {
+    const history = createEditHistory();
+    names.forEach(name => recordHistoryStep(history, { name, lineItems: [] }, { label: `Rename to ${name}`, ...options }));
+    return history;
+}
+
+const framing = { id: 'framing', description: 'Framing', quantity: 10 };
+const drywall = { id: 'drywall', description: 'Drywall', quantity: 40 };
+const paint = { id: 'paint', description: 'Paint', quantity: 40 };
+
+test('undo and redo step through the recorded projects', () => {
+    const history = createHistory(['a', 'b', 'c']);
+
+    assert.equal(getUndoLabel(history), 'Rename to c');
+    assert.deepEqual(undoHistoryStep(history).project, { name: 'b', lineItems: [] });
+    assert.deepEqual(undoHistoryStep(history).project, { name: 'a', lineItems: [] });
+    assert.equal(canUndo(history), false);
+    assert.equal(undoHistoryStep(history), null);
+    assert.deepEqual(redoHistoryStep(history).project, { name: 'b', lineItems: [] });
+    assert.equal(canRedo(history), true);
+});
+
+test('recording after an undo drops the redo steps', () => {
+    const history = createHistory(['a', 'b', 'c']);
+    undoHistoryStep(history);
+    recordHistoryStep(history, { name: 'd', lineItems: [] }, { label: 'Rename to d' });
+
+    assert.equal(canRedo(history), false);
+    assert.deepEqual(history.steps.map(step => step.label), ['Rename to a', 'Rename to b', 'Rename to d']);
+    assert.deepEqual(undoHistoryStep(history).project, { name: 'b', lineItems: [] });
+});
+
+test('an unchanged project is not recorded', () => {
+    const history = createEditHistory();
+    recordHistoryStep(history, { name: 'a', lineItems: [framing] });
+
+    assert.equal(recordHistoryStep(history, { name: 'a', lineItems: [{ ...framing }] }), false);
+    assert.equal(history.steps.length, 1);
+});
+
+test('a step stores only the changed field or line, before and after', () => {
+    const history = createEditHistory();
+    const edited = { ...drywall, quantity: 48 };
+    recordHistoryStep(history, { name: 'a', tax: { rate: 8 }, lineItems: [framing, drywall, paint] });
+    recordHistoryStep(history, { name: 'a', tax: { rate: 8 }, lineItems: [framing, edited, paint] }, { label: 'Edit line item' });
+    recordHistoryStep(history, { name: 'a', tax: { rate: 9 }, lineItems: [framing, edited, paint] }, { label: 'Edit tax' });
+
+    const [, lineStep, taxStep] = history.steps;
+    assert.deepEqual(lineStep.patch, { fields: {}, lines: [{ id: 'drywall', before: drywall, after: edited }], order: null });
+    assert.deepEqual(taxStep.patch, { fields: { tax: { before: '{"rate":8}', after: '{"rate":9}' } }, lines: [], order: null });
+    assert.equal(lineStep.size, JSON.stringify(lineStep.patch).length);
+
+    assert.deepEqual(undoHistoryStep(history).project, { name: 'a', tax: { rate: 8 }, lineItems: [framing, edited, paint] });
+    assert.deepEqual(undoHistoryStep(history).project.lineItems, [framing, drywall, paint]);
+    assert.deepEqual(redoHistoryStep(history).project.lineItems, [framing, edited, paint]);
+});
+
+test('added, removed and moved lines come back in their place', () => {
+    const history = createEditHistory();
+    recordHistoryStep(history, { lineItems: [framing, drywall] });
+    recordHistoryStep(history, { lineItems: [framing, paint, drywall] }, { label: 'Add line item' });
+    recordHistoryStep(history, { lineItems: [paint, drywall] }, { label: 'Remove line item' });
+    recordHistoryStep(history, { lineItems: [drywall, paint] }, { label: 'Move line item' });
+
+    assert.deepEqual(history.steps[2].patch.lines, [{ id: 'framing', before: framing, after: null }]);
+    assert.deepEqual(undoHistoryStep(history).project.lineItems, [paint, drywall]);
+    assert.deepEqual(undoHistoryStep(history).project.lineItems, [framing, paint, drywall]);
+    assert.deepEqual(undoHistoryStep(history).project.lineItems, [framing, drywall]);
+    redoHistoryStep(history);
+    redoHistoryStep(history);
+    assert.deepEqual(redoHistoryStep(history).project.lineItems, [drywall, paint]);
+});
+
+test('the oldest steps are dropped past the step limit', () => {
+    const history = createHistory(['a', 'b', 'c', 'd'], { limit: 3 });
+
+    assert.deepEqual(history.steps.map(step => step.label), ['Rename to b', 'Rename to c', 'Rename to d']);
+    assert.equal(history.steps[0].patch, null);
+    assert.equal(history.index, 2);
+    undoHistoryStep(history);
+    assert.deepEqual(undoHistoryStep(history).project, { name: 'b', lineItems: [] });
+    assert.equal(canUndo(history), false);
+});
+
+test('the oldest steps are dropped past the size limit', () => {
+    const stepSize = getHistorySize(createHistory(['a', 'b']));
+    const history = createHistory(['a', 'b', 'c', 'd'], { maxSize: stepSize * 2 });
+
+    assert.deepEqual(history.steps.map(step => step.label), ['Rename to b', 'Rename to c', 'Rename to d']);
+    assert.equal(getHistorySize(history), stepSize * 2);
+    assert.equal(history.index, 2);
+});
+
+test('the latest step is kept even when it alone passes the size limit', () => {
+    const history = createHistory(['a', 'b'], { maxSize: 1 });
+
+    assert.deepEqual(history.steps.map(step => step.label), ['Rename to b']);
+    assert.equal(canUndo(history), false);
+});
+
+test('histories of other projects are dropped least recently used first', () => {
+    const first = createHistory(['a', 'b']);
+    const second = createHistory(['a', 'b']);
+    const current = createHistory(['a', 'b']);
+    const histories = new Map([['p1', first], ['p2', second], ['p3', current]]);
+
+    pruneEditHistories(histories, current, getHistorySize(current) * 2);
+    assert.deepEqual(Array.from(histories.keys()), ['p2', 'p3']);
+
+    pruneEditHistories(histories, current, 1);
+    assert.deepEqual(Array.from(histories.keys()), ['p3']);
+});
@@ -0,0 +1,160 @@
+/**
+ * Escalation
+ *
+ * Cost growth between the date the estimate is priced and the construction midpoint:
+ * - An estimate base date and a construction midpoint date
+ * - An annual escalation rate (%) per cost category, compounded over the years
+ *   between the two dates (a negative rate de-escalates)
+ * - Applied to direct cost after the location adjustment and before markups and
+ *   sales tax; subcontract quotes are taken as already priced for their dates
+ */
+
+import { COST_CATEGORIES, createCategoryTotals } from './cost-categories.js';
+import { DEFAULT_ROUNDING_SETTINGS, multiplyAmounts, roundAmount, sumAmounts } from './money.js';
+
+/**
+ * Cost categories with an escalation rate
+ */
+export const ESCALATION_CATEGORIES = ['materials', 'labor', 'equipment'];
+
+/**
+ * Decimal places escalation factors are rounded to (shown with the computation)
+ */
+export const ESCALATION_FACTOR_DECIMALS = 6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * @typedef {Object} EscalationSettings
+ * @property {string} baseDate - Date the costs are priced at (YYYY-MM-DD, '' = none)
+ * @property {string} midpointDate - Construction midpoint (YYYY-MM-DD, '' = none)
+ * @property {{materials: number, labor: number, equipment: number}} rates - Annual escalation (%)
+ */
+
+/**
+ * @typedef {Object} EscalationAmount
+ * @property {string} baseDate
+ * @property {string} midpointDate
+ * @property {number} years - Years from the base date to the midpoint (0 when not escalated)
+ * @property {{materials: number, labor: number, equipment: number}} rates
+ * @property {Object<string, number>} factors - Multiplier per cost category, e.g. 1.0524
+ * @property {Object<string, number>} categoryAmounts - Escalation per cost category
+ * @property {number} amount - Total escalation
+ * @property {Object<string, number>} categoryTotals - Escalated direct cost per category
+ */
+
+/**
+ * Escalation settings for projects that never configured it
+ * @type {EscalationSettings}
+ */
+export const DEFAULT_ESCALATION_SETTINGS = {
+    baseDate: '',
+    midpointDate: '',
+    rates: { materials: 0, labor: 0, equipment: 0 }
+};
+
+/**
+ * Normalize a date to YYYY-MM-DD, or '' when it is not a valid date
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+export function normalizeEscalationDate(value) {
+    const text = String(value || '').trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return '';
+    const date = new Date(`${text}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text ? '' : text;
+}
+
+/**
+ * Parse an annual escalation rate; -100% or less would wipe out the cost, so it is capped
+ *
+ * @param {any} value
+ * @returns {number}
+ */
+export function normalizeEscalationRate(value) {
+    const rate = parseFloat(value) || 0;
+    return Math.min(100, Math.max(-99, rate));
+}
+
+/**
+ * Normalize stored escalation settings
+ *
+ * @param {Object} [settings]
+ * @returns {EscalationSettings}
+ */
+export function normalizeEscalationSettings(settings = {}) {
+    const source = settings || {};
+    return {
+        baseDate: normalizeEscalationDate(source.baseDate),
+        midpointDate: normalizeEscalationDate(source.midpointDate),
+        rates: ESCALATION_CATEGORIES.reduce((rates, category) => {
+            rates[category] = normalizeEscalationRate((source.rates || {})[category]);
+            return rates;
+        }, {})
+    };
+}
+
+/**
+ * Get a project's escalation settings
+ *
+ * @param {Object} project
+ * @returns {EscalationSettings}
+ */
+export function getProjectEscalation(project = {}) {
+    return normalizeEscalationSettings(project.escalation);
+}
+
+/**
+ * Years from the base date to the midpoint; 0 when either is missing or the
+ * midpoint is not later
+ *
+ * @param {string} baseDate
+ * @param {string} midpointDate
+ * @returns {number}
+ */
+export function getEscalationYears(baseDate, midpointDate) {
+    const base = normalizeEscalationDate(baseDate);
+    const midpoint = normalizeEscalationDate(midpointDate);
+    if (!base || !midpoint) return 0;
+    const days = (Date.parse(`${midpoint}T00:00:00Z`) - Date.parse(`${base}T00:00:00Z`)) / DAY_MS;
+    return days > 0 ? days / DAYS_PER_YEAR : 0;
+}
+
+/**
+ * Escalate direct cost subtotals to the construction midpoint:
+ * cost × (1 + rate)^years per category
+ *
+ * @param {Object<string, number>} subtotals - Direct cost per category
+ * @param {EscalationSettings} settings
+ * @param {import('./money.js').RoundingSettings} [rounding]
+ * @returns {EscalationAmount}
+ */
+export function calculateEscalation(subtotals, settings, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const { decimals, mode } = rounding;
+    const years = getEscalationYears(settings.baseDate, settings.midpointDate);
+    const factors = createCategoryTotals();
+    const categoryAmounts = createCategoryTotals();
+    const categoryTotals = createCategoryTotals();
+    COST_CATEGORIES.forEach(category => {
+        const rate = ESCALATION_CATEGORIES.includes(category) ? settings.rates[category] : 0;
+        factors[category] = years && rate
+            ? roundAmount(Math.pow(1 + rate / 100, years), ESCALATION_FACTOR_DECIMALS)
+            : 1;
+        categoryTotals[category] = factors[category] === 1
+            ? subtotals[category]
+            : multiplyAmounts([subtotals[category], factors[category]], [], decimals, mode);
+        categoryAmounts[category] = sumAmounts([categoryTotals[category], -subtotals[category]], decimals);
+    });
+    return {
+        baseDate: settings.baseDate,
+        midpointDate: settings.midpointDate,
+        years,
+        rates: settings.rates,
+        factors,
+        categoryAmounts,
+        amount: sumAmounts(Object.values(categoryAmounts), decimals),
+        categoryTotals
+    };
+}
@@ -0,0 +1,491 @@
+/**
+ * Estimate Engine
+ *
+ * Headless pricing math for construction estimates:
+ * - Line item material, labor and equipment totals (labor from a crew when one is picked,
+ *   material on the quantity plus waste)
+ * - Cost category subtotals and a breakdown by CSI division
+ * - The project's markup stack (see markup-stack.js)
+ * - A location cost index adjustment of direct cost (see location-index.js)
+ * - Escalation of direct cost to the construction midpoint (see escalation.js)
+ * - Sales tax at its position in the stack (see sales-tax.js)
+ * - Base bid (base lines plus allowances) and a priced schedule of alternates
+ *   (see bid-items.js)
+ * - Exact decimal amounts rounded by the project's rounding rules, with the
+ *   final bid optionally rounded up (see money.js)
+ * - An optional cache of line totals, so re-pricing a large project after one
+ *   line changed only recalculates that line
+ * - Optional running sums of the line totals, adjusted by the changed line's
+ *   difference, so re-pricing does not go over every line at all
+ *
+ * Works on plain project objects (the shape saveCurrentProject writes),
+ * so the UI, the CSV exporter and Node scripts all share the same numbers.
+ */
+
+import { COST_CATEGORIES, createCategoryTotals, sumCategories } from './cost-categories.js';
+import { getProjectMarkups, applyMarkups } from './markup-stack.js';
+import { normalizeTaxSettings, normalizeTaxableOverride, calculateSalesTax } from './sales-tax.js';
+import { createCrewRates, calculateCrewLabor } from './crews.js';
+import { getProjectCostCodes, getDivisionCode, summarizeByDivision, summarizeDivisionSums } from './cost-codes.js';
+import { BID_TYPE, ALTERNATE_DIRECTION, normalizeBidType, getLineAlternateNumber, getProjectAlternates, getBidItemMarkups } from './bid-items.js';
+import { toNonNegativeNumber, clampPercent } from './number-utils.js';
+import { getProjectLocation, normalizeProjectLocation, calculateLocationAdjustment } from './location-index.js';
+import { DEFAULT_ESCALATION_SETTINGS, getProjectEscalation, calculateEscalation } from './escalation.js';
+import { DEFAULT_ROUNDING_SETTINGS, getProjectRoundingSettings, getLineDecimals, multiplyAmounts, roundAmount, sumAmounts, roundUpToIncrement } from './money.js';
+
+/**
+ * @typedef {Object} LineItem
+ * @property {string} [id] - Stable id, used to match lines between revisions
+ * @property {string} description
+ * @property {number} quantity
+ * @property {string} [quantityFormula] - Formula the quantity was computed from (see quantity-formula.js)
+ * @property {string} unit
+ * @property {number} material - Material cost per unit
+ * @property {number} [waste] - Material waste (%) bought on top of the net quantity
+ * @property {number} labor - Labor cost per unit (ignored when a crew is picked)
+ * @property {number} surcharge - Labor surcharge (%) (ignored when a crew is picked; trade burden covers it)
+ * @property {number} equipment - Equipment cost per unit
+ * @property {number} [subcontract] - Subcontract cost per unit
+ * @property {string} [costCode] - CSI MasterFormat code (e.g. "09 29 00")
+ * @property {string} [crewId] - Crew that prices the labor
+ * @property {number} [productionRate] - Units the crew installs per hour
+ * @property {boolean|null} [taxable] - Tax override: true = fully taxable, false = exempt
+ * @property {string} notes
+ * @property {string} [assemblyInstanceId] - Assembly instance the line was generated from
+ * @property {number} [assemblyFactor] - Quantity per unit of that assembly
+ * @property {string} [priceBookId] - Price book item the line was filled from
+ * @property {string} [bidPackageId] - Bid package whose selected quote prices the line (see bid-packages.js)
+ * @property {string} [bidType] - 'base', 'allowance' or 'alternate' (see bid-items.js)
+ * @property {number} [alternateNumber] - Alternate the line belongs to
+ * @property {string} [sectionId] - Section the line is listed under (see sections.js)
+ */
+
+/**
+ * @typedef {Object} LineItemTotals
+ * @property {number} quantity - Net quantity
+ * @property {number} waste - Material waste (%)
+ * @property {number} grossQuantity - Net quantity plus waste, used for material
+ * @property {number} material
+ * @property {number} labor - Effective labor cost per unit
+ * @property {number} surcharge - Effective surcharge (%)
+ * @property {string|null} crewId - Crew used, or null for flat labor
+ * @property {number} crewHours
+ * @property {number} manHours
+ * @property {number} equipment
+ * @property {number} subcontract
+ * @property {number} materialTotal
+ * @property {number} laborTotal
+ * @property {number} equipmentTotal
+ * @property {number} subcontractTotal
+ * @property {Object<string, number>} categoryTotals - The totals above keyed by cost category
+ * @property {number} lineTotal
+ */
+
+/**
+ * @typedef {Object} BidItemPrice
+ * @property {number} lineCount - Line items priced in this part of the bid
+ * @property {number[]|null} lineIndexes - Those line items (null when priced from running sums)
+ * @property {Object<string, number>} subtotals - Direct cost per cost category
+ * @property {number} subtotal - Sum of all cost categories
+ * @property {import('./location-index.js').LocationAdjustment} location - Location adjustment
+ *     of the subtotals
+ * @property {import('./escalation.js').EscalationAmount} escalation - Escalation of the location-adjusted
+ *     subtotals; markups and tax apply to the adjusted and escalated direct cost
+ * @property {{crewHours: number, manHours: number}} laborHours - Hours across crew-priced lines
+ * @property {import('./markup-stack.js').MarkupAmount[]} markups - Markups in the order they were applied
+ * @property {import('./sales-tax.js').TaxAmount} tax - Sales tax; tax.position markups come before it
+ * @property {number} total - Marked-up total
+ */
+
+/**
+ * @typedef {import('./bid-items.js').Alternate & BidItemPrice & {amount: number}} AlternatePrice
+ *     amount is the total, negative for deduct alternates
+ */
+
+/**
+ * @typedef {Object} EstimateResult
+ * @property {LineItemTotals[]|null} lineItems - Totals per line item, in project order (null when
+ *     priced from running sums)
+ * @property {Object<string, number>} subtotals - Direct cost per cost category of the base bid lines
+ * @property {number} subtotal - Sum of all cost categories of the base bid lines
+ * @property {import('./cost-codes.js').DivisionSummary[]} divisions - Direct cost by CSI division (base bid and allowances)
+ * @property {import('./location-index.js').LocationAdjustment} location - Location adjustment of the base bid lines
+ * @property {import('./escalation.js').EscalationAmount} escalation - Escalation of the base bid lines
+ * @property {{crewHours: number, manHours: number}} laborHours - Hours across crew-priced base bid and allowance lines
+ * @property {import('./markup-stack.js').MarkupAmount[]} markups - Markups in the order they were applied
+ * @property {import('./sales-tax.js').TaxAmount} tax - Sales tax; tax.position markups come before it
+ * @property {BidItemPrice} allowances - Allowance lines with their own markups
+ * @property {AlternatePrice[]} alternates - Schedule of alternates, by number
+ * @property {{increment: number, amount: number}} bidRounding - Amount added to round the bid up
+ *     to the increment (0 when the project does not round its bid)
+ * @property {number} total - Base bid: base lines plus allowances, plus the bid rounding
+ */
+
+/**
+ * Calculate the totals for a single line item
+ *
+ * @param {LineItem} item
+ * @param {Map<string, import('./crews.js').CrewRate>} [crewRates] - From createCrewRates(project)
+ * @param {import('./money.js').RoundingSettings} [rounding] - From getProjectRoundingSettings(project)
+ * @returns {LineItemTotals}
+ */
+export function calculateLineItem(item = {}, crewRates = null, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const decimals = getLineDecimals(rounding);
+    const { mode } = rounding;
+    const quantity = toNonNegativeNumber(item.quantity);
+    const waste = clampPercent(item.waste);
+    const grossQuantity = multiplyAmounts([quantity, 100 + waste], [100], 6);
+    const material = toNonNegativeNumber(item.material);
+    const crewLabor = calculateCrewLabor(item, quantity, crewRates);
+    const labor = crewLabor ? crewLabor.laborUnitCost : toNonNegativeNumber(item.labor);
+    const surcharge = crewLabor ? 0 : toNonNegativeNumber(item.surcharge);
+    const equipment = toNonNegativeNumber(item.equipment);
+    const subcontract = toNonNegativeNumber(item.subcontract);
+
+    // Each amount is computed exactly from the inputs and rounded once
+    const categoryTotals = {
+        materials: multiplyAmounts([quantity, material, 100 + waste], [100], decimals, mode),
+        labor: crewLabor
+            ? multiplyAmounts([quantity, crewLabor.hourlyCost], [crewLabor.productionRate], decimals, mode)
+            : multiplyAmounts([quantity, labor, 100 + surcharge], [100], decimals, mode),
+        equipment: multiplyAmounts([quantity, equipment], [], decimals, mode),
+        subcontract: multiplyAmounts([quantity, subcontract], [], decimals, mode)
+    };
+
+    return {
+        quantity,
+        waste,
+        grossQuantity,
+        material,
+        labor,
+        surcharge,
+        equipment,
+        subcontract,
+        crewId: crewLabor ? item.crewId : null,
+        crewHours: crewLabor ? crewLabor.crewHours : 0,
+        manHours: crewLabor ? crewLabor.manHours : 0,
+        materialTotal: categoryTotals.materials,
+        laborTotal: categoryTotals.labor,
+        equipmentTotal: categoryTotals.equipment,
+        subcontractTotal: categoryTotals.subcontract,
+        categoryTotals,
+        lineTotal: sumCategories(categoryTotals, COST_CATEGORIES, decimals)
+    };
+}
+
+/**
+ * @typedef {Object} LineTotalsCache
+ * @property {string|null} context - Rounding and crew rates the cached totals were calculated with
+ * @property {WeakMap<LineItem, LineItemTotals>} totals - Totals by line item object
+ * @property {Map<string, Object>} [scenarios] - Caches of the what-if scenarios, by scenario id
+ *     (see compareScenarios in scenarios.js)
+ */
+
+/**
+ * Create a cache of line totals for calculateProjectEstimate. Totals are kept per line
+ * item object, so the caller replaces a line's object when the line changes (and keeps
+ * the objects of unchanged lines); the cache empties itself when the rounding or the
+ * crew rates change.
+ *
+ * @returns {LineTotalsCache}
+ */
+export function createLineTotalsCache() {
+    return { context: null, totals: new WeakMap() };
+}
+
+function getLineContext(crewRates, rounding) {
+    return JSON.stringify([rounding, Array.from(crewRates.entries())]);
+}
+
+function calculateLineItems(items, crewRates, rounding, cache) {
+    if (!cache) {
+        return items.map(item => calculateLineItem(item, crewRates, rounding));
+    }
+    const context = getLineContext(crewRates, rounding);
+    if (cache.context !== context) {
+        cache.context = context;
+        cache.totals = new WeakMap();
+    }
+    return items.map(item => {
+        let totals = cache.totals.get(item);
+        if (!totals) {
+            totals = calculateLineItem(item, crewRates, rounding);
+            cache.totals.set(item, totals);
+        }
+        return totals;
+    });
+}
+
+/**
+ * @typedef {Object} LineSum
+ * @property {number} lineCount
+ * @property {Object<string, number>} amounts - Line totals per cost category, at line precision
+ * @property {Object<string, number>} taxed - Part of the amounts on lines marked taxable
+ * @property {Object<string, number>} exempt - Part of the amounts on lines marked exempt
+ * @property {number} crewHours
+ * @property {number} manHours
+ */
+
+/**
+ * @typedef {Object} LineSums
+ * @property {string|null} context - Rounding and crew rates the sums were calculated with (null until filled in)
+ * @property {Map<string, import('./crews.js').CrewRate>|null} crewRates
+ * @property {import('./money.js').RoundingSettings|null} rounding
+ * @property {WeakMap<LineItem, LineItemTotals>} totals - Totals by line item object
+ * @property {number} lineCount
+ * @property {Map<string, LineSum>} bids - Lines by bid type ('base', 'allowance', 'alternate:2', ...)
+ * @property {Map<string, LineSum>} divisions - Base bid and allowance lines by CSI division
+ * @property {Map<string, LineSum>} sections - Lines by section id ('' for lines outside any section)
+ */
+
+// Labor hours are summed exactly to this many places, so running sums do not drift
+const HOUR_DECIMALS = 6;
+
+/**
+ * Create running sums of the line totals for calculateProjectEstimate. The first
+ * estimate fills them in; after that the caller moves each changed line out and in
+ * with updateLineSums, so the next estimate does not go over every line. They are
+ * filled in again when the rounding or the crew rates change, or when their line
+ * count no longer matches the project.
+ *
+ * @returns {LineSums}
+ */
+export function createLineSums() {
+    return {
+        context: null,
+        crewRates: null,
+        rounding: null,
+        totals: new WeakMap(),
+        lineCount: 0,
+        bids: new Map(),
+        divisions: new Map(),
+        sections: new Map()
+    };
+}
+
+function createLineSum() {
+    return {
+        lineCount: 0,
+        amounts: createCategoryTotals(),
+        taxed: createCategoryTotals(),
+        exempt: createCategoryTotals(),
+        crewHours: 0,
+        manHours: 0
+    };
+}
+
+// sign is 1 to add the line and -1 to take it out; a group is dropped once it has no lines
+function addToLineSum(groups, key, item, totals, sign, lineDecimals) {
+    if (!groups.has(key)) {
+        groups.set(key, createLineSum());
+    }
+    const sum = groups.get(key);
+    const override = normalizeTaxableOverride(item.taxable);
+    sum.lineCount += sign;
+    sum.crewHours = sumAmounts([sum.crewHours, sign * totals.crewHours], HOUR_DECIMALS);
+    sum.manHours = sumAmounts([sum.manHours, sign * totals.manHours], HOUR_DECIMALS);
+    COST_CATEGORIES.forEach(category => {
+        const amount = sign * totals.categoryTotals[category];
+        sum.amounts[category] = sumAmounts([sum.amounts[category], amount], lineDecimals);
+        if (override === true) {
+            sum.taxed[category] = sumAmounts([sum.taxed[category], amount], lineDecimals);
+        } else if (override === false) {
+            sum.exempt[category] = sumAmounts([sum.exempt[category], amount], lineDecimals);
+        }
+    });
+    if (!sum.lineCount) {
+        groups.delete(key);
+    }
+}
+
+function addLineToSums(sums, item, sign) {
+    let totals = sums.totals.get(item);
+    if (!totals) {
+        totals = calculateLineItem(item, sums.crewRates, sums.rounding);
+        sums.totals.set(item, totals);
+    }
+    const lineDecimals = getLineDecimals(sums.rounding);
+    const bidType = normalizeBidType(item.bidType);
+    sums.lineCount += sign;
+    if (bidType === BID_TYPE.ALTERNATE) {
+        addToLineSum(sums.bids, `${bidType}:${getLineAlternateNumber(item)}`, item, totals, sign, lineDecimals);
+    } else {
+        addToLineSum(sums.bids, bidType, item, totals, sign, lineDecimals);
+        addToLineSum(sums.divisions, getDivisionCode(item.costCode), item, totals, sign, lineDecimals);
+    }
+    addToLineSum(sums.sections, item.sectionId ? String(item.sectionId) : '', item, totals, sign, lineDecimals);
+}
+
+function fillLineSums(sums, items, lineItems, crewRates, rounding, context) {
+    Object.assign(sums, createLineSums(), { context, crewRates, rounding });
+    items.forEach((item, index) => {
+        sums.totals.set(item, lineItems[index]);
+        addLineToSums(sums, item, 1);
+    });
+    return sums;
+}
+
+/**
+ * Move a changed line's totals out of the sums and its new version's in
+ *
+ * @param {LineSums} sums - Updated in place; left alone until an estimate has filled them in
+ * @param {LineItem|null} before - The line as it was (null for an added line)
+ * @param {LineItem|null} after - The line as it is now (null for a removed line)
+ */
+export function updateLineSums(sums, before, after) {
+    if (!sums.context || before === after) return;
+    if (before) addLineToSums(sums, before, -1);
+    if (after) addLineToSums(sums, after, 1);
+}
+
+/**
+ * Direct cost, markups and sales tax for a part of the bid
+ *
+ * @param {LineSum} sum - Its line totals
+ * @param {number[]|null} lineIndexes - Its lines, when known
+ * @param {import('./markup-stack.js').Markup[]} markupStack
+ * @param {import('./sales-tax.js').TaxSettings} taxSettings
+ * @param {import('./money.js').RoundingSettings} rounding
+ * @param {import('./location-index.js').ProjectLocation} location
+ * @param {import('./escalation.js').EscalationSettings} escalation
+ * @returns {BidItemPrice}
+ */
+function priceLines(sum, lineIndexes, markupStack, taxSettings, rounding, location, escalation) {
+    const lineDecimals = getLineDecimals(rounding);
+    const { decimals, mode } = rounding;
+
+    // Lines carried at full precision are rounded here, once per category; lines
+    // without a tax override are taxable in the categories the tax settings name
+    const subtotals = createCategoryTotals();
+    const taxableDirect = createCategoryTotals();
+    COST_CATEGORIES.forEach(category => {
+        subtotals[category] = roundAmount(sum.amounts[category], decimals, mode);
+        taxableDirect[category] = taxSettings.categories.includes(category)
+            ? sumAmounts([sum.amounts[category], -sum.exempt[category]], lineDecimals)
+            : sum.taxed[category];
+    });
+
+    // Markups and tax see the direct cost at the project's location and construction midpoint
+    const locationAdjustment = calculateLocationAdjustment(subtotals, location, rounding);
+    const escalationAmount = calculateEscalation(locationAdjustment.categoryTotals, escalation, rounding);
+    const adjusted = escalationAmount.categoryTotals;
+    COST_CATEGORIES.forEach(category => {
+        const factors = [location.factors[category] || 1, escalationAmount.factors[category]].filter(factor => factor !== 1);
+        if (factors.length) {
+            taxableDirect[category] = multiplyAmounts([taxableDirect[category], ...factors], [], lineDecimals, mode);
+        }
+    });
+
+    const beforeTax = applyMarkups(adjusted, markupStack.slice(0, taxSettings.position), adjusted, rounding);
+    const tax = calculateSalesTax(taxSettings, taxableDirect, adjusted, beforeTax.categoryTotals, rounding);
+    const withTax = createCategoryTotals();
+    COST_CATEGORIES.forEach(category => {
+        withTax[category] = sumAmounts([beforeTax.categoryTotals[category], tax.categoryAmounts[category]], decimals);
+    });
+    const afterTax = applyMarkups(adjusted, markupStack.slice(taxSettings.position), withTax, rounding);
+
+    return {
+        lineCount: sum.lineCount,
+        lineIndexes,
+        subtotals,
+        subtotal: sumCategories(subtotals, COST_CATEGORIES, decimals),
+        location: locationAdjustment,
+        escalation: escalationAmount,
+        laborHours: { crewHours: sum.crewHours, manHours: sum.manHours },
+        markups: [...beforeTax.markups, ...afterTax.markups],
+        tax,
+        total: afterTax.total
+    };
+}
+
+/**
+ * Calculate the full estimate for a project
+ *
+ * @param {Object} project - Project object as written by saveCurrentProject
+ * @param {LineItem[]} [project.lineItems]
+ * @param {Object[]} [project.markups] - Markup stack; legacy projects use the percentages below
+ * @param {Object} [project.tax] - Sales tax settings
+ * @param {Object[]} [project.trades] - Trade library for crew-priced labor
+ * @param {Object[]} [project.crews] - Crew library for crew-priced labor
+ * @param {Object[]} [project.costCodes] - User-defined cost codes
+ * @param {Object[]} [project.alternates] - Alternate descriptions (see bid-items.js)
+ * @param {Object} [project.currency] - Currency settings; amounts round to its decimal places
+ * @param {Object} [project.rounding] - Rounding rules (see money.js)
+ * @param {Object} [project.location] - Project location and its cost index factors (see location-index.js)
+ * @param {Object} [project.escalation] - Base and midpoint dates and annual rates (see escalation.js)
+ * @param {number} [project.contingency]
+ * @param {number} [project.overhead]
+ * @param {number} [project.profit]
+ * @param {number} [project.bond]
+ * @param {Object} [options]
+ * @param {LineTotalsCache} [options.lineCache] - Reuse the totals of unchanged line item objects
+ * @param {LineSums} [options.lineSums] - Price from these running sums when they match the
+ *     project (filling them in otherwise); the per-line results (lineItems, lineIndexes)
+ *     are then left out
+ * @returns {EstimateResult}
+ */
+export function calculateProjectEstimate(project = {}, options = {}) {
+    const { lineCache = null, lineSums = null } = options;
+    const items = Array.isArray(project.lineItems) ? project.lineItems : [];
+    const rounding = getProjectRoundingSettings(project);
+    const crewRates = createCrewRates(project);
+    const context = getLineContext(crewRates, rounding);
+    const running = Boolean(lineSums) && lineSums.context === context && lineSums.lineCount === items.length;
+    const lineItems = running ? null : calculateLineItems(items, crewRates, rounding, lineCache);
+    const sums = running ? lineSums : fillLineSums(lineSums || createLineSums(), items, lineItems, crewRates, rounding, context);
+    const markupStack = getProjectMarkups(project);
+    const taxSettings = normalizeTaxSettings(project.tax, markupStack.length);
+    const location = getProjectLocation(project);
+    const escalation = getProjectEscalation(project);
+    // Allowances are amounts stated in the bid documents, not priced locally or escalated
+    const homeMarket = normalizeProjectLocation();
+
+    const indexesOf = predicate => (running ? null : items.reduce((indexes, item, index) => {
+        if (predicate(item)) indexes.push(index);
+        return indexes;
+    }, []));
+    const sumOf = key => sums.bids.get(key) || createLineSum();
+    const baseIndexes = indexesOf(item => normalizeBidType(item.bidType) === BID_TYPE.BASE);
+    const allowanceIndexes = indexesOf(item => normalizeBidType(item.bidType) === BID_TYPE.ALLOWANCE);
+
+    const base = priceLines(sumOf(BID_TYPE.BASE), baseIndexes, markupStack, taxSettings, rounding, location, escalation);
+    const allowances = priceLines(sumOf(BID_TYPE.ALLOWANCE), allowanceIndexes, getBidItemMarkups(markupStack, BID_TYPE.ALLOWANCE), taxSettings, rounding, homeMarket, DEFAULT_ESCALATION_SETTINGS);
+    const alternateMarkups = getBidItemMarkups(markupStack, BID_TYPE.ALTERNATE);
+    const alternates = getProjectAlternates(project).map(alternate => {
+        const indexes = indexesOf(item => getLineAlternateNumber(item) === alternate.number);
+        const priced = priceLines(sumOf(`${BID_TYPE.ALTERNATE}:${alternate.number}`), indexes, alternateMarkups, taxSettings, rounding, location, escalation);
+        return {
+            ...alternate,
+            ...priced,
+            amount: alternate.direction === ALTERNATE_DIRECTION.DEDUCT ? -priced.total : priced.total
+        };
+    });
+
+    const bidTotal = sumAmounts([base.total, allowances.total], rounding.decimals);
+    const total = roundUpToIncrement(bidTotal, rounding.bidIncrement);
+    const customCodes = getProjectCostCodes(project);
+
+    return {
+        lineItems,
+        subtotals: base.subtotals,
+        subtotal: base.subtotal,
+        location: base.location,
+        escalation: base.escalation,
+        divisions: running
+            ? summarizeDivisionSums(sums.divisions, customCodes, rounding)
+            : summarizeByDivision(items, lineItems, customCodes, [...baseIndexes, ...allowanceIndexes], rounding),
+        laborHours: {
+            crewHours: sumAmounts([base.laborHours.crewHours, allowances.laborHours.crewHours], HOUR_DECIMALS),
+            manHours: sumAmounts([base.laborHours.manHours, allowances.laborHours.manHours], HOUR_DECIMALS)
+        },
+        markups: base.markups,
+        tax: base.tax,
+        allowances,
+        alternates,
+        bidRounding: {
+            increment: rounding.bidIncrement,
+            amount: sumAmounts([total, -bidTotal], rounding.decimals)
+        },
+        total
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * Estimate engine tests
+ *
+ * Run with: node --test estimator/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateLineItem, createLineSums, updateLineSums, calculateProjectEstimate } from './estimate-engine.js';
+
+/**
+ * Two lines: one with material waste and a labor surcharge, one subcontracted.
+ * Direct cost: materials 220, labor 180, equipment 50, subcontract 2000.
+ */
+function createProject(overrides = {}) {
+    return {
+        lineItems: [
+            { id: 'framing', description: 'Framing', quantity: 10, unit: 'ea', material: 20, waste: 10, labor: 15, surcharge: 20, equipment: 5 },
+            { id: 'electrical', description: 'Electrical', quantity: 2, unit: 'ls', subcontract: 1000 }
+        ],
+        tax: { jurisdiction: 'Test County', rate: 8, categories: ['materials'], position: 1 },
+        ...overrides
+    };
+}
+
+test('line totals include waste on material and the surcharge on labor', () => {
+    const totals = calculateLineItem({ quantity: 10, material: 20, waste: 10, labor: 15, surcharge: 20, equipment: 5 });
+
+    assert.equal(totals.grossQuantity, 11);
+    assert.equal(totals.materialTotal, 220);
+    assert.equal(totals.laborTotal, 180);
+    assert.equal(totals.equipmentTotal, 50);
+    assert.equal(totals.subcontractTotal, 0);
+    assert.deepEqual(totals.categoryTotals, { materials: 220, labor: 180, equipment: 50, subcontract: 0 });
+    assert.equal(totals.lineTotal, 450);
+});
+
+test('line totals round once to the currency decimals', () => {
+    const totals = calculateLineItem({ quantity: 3, material: 0.335 });
+
+    assert.equal(totals.materialTotal, 1.01);
+    assert.equal(totals.lineTotal, 1.01);
+});
+
+test('category subtotals add up the line totals', () => {
+    const estimate = calculateProjectEstimate(createProject());
+
+    assert.deepEqual(estimate.lineItems.map(line => line.lineTotal), [450, 2000]);
+    assert.deepEqual(estimate.subtotals, { materials: 220, labor: 180, equipment: 50, subcontract: 2000 });
+    assert.equal(estimate.subtotal, 2450);
+});
+
+test('each markup compounds on the running total, including tax once it is applied', () => {
+    const estimate = calculateProjectEstimate(createProject());
+
+    assert.deepEqual(
+        estimate.markups.map(markup => [markup.id, markup.base, markup.amount]),
+        [
+            ['contingency', 2450, 245],
+            ['overhead', 2714.36, 271.44],
+            ['profit', 2985.8, 298.58],
+            ['bond', 3284.38, 65.69]
+        ]
+    );
+});
+
+test('simple and fixed markups use the direct cost and their stated amount', () => {
+    const estimate = calculateProjectEstimate(createProject({
+        markups: [
+            { id: 'overhead', label: 'Overhead', type: 'percent', value: 10, compounding: true },
+            { id: 'gc-fee', label: 'GC Fee', type: 'percent', value: 5, compounding: false, categories: ['subcontract'] },
+            { id: 'permits', label: 'Permits', type: 'fixed', value: 150, compounding: false }
+        ],
+        tax: { rate: 0 }
+    }));
+
+    assert.deepEqual(
+        estimate.markups.map(markup => [markup.id, markup.base, markup.amount]),
+        [
+            ['overhead', 2450, 245],
+            ['gc-fee', 2000, 100],
+            ['permits', 2450, 150]
+        ]
+    );
+    assert.equal(estimate.total, 2945);
+});
+
+test('tax is charged on the taxable cost marked up by the markups before its position', () => {
+    const onDirectCost = calculateProjectEstimate(createProject({ tax: { rate: 8, position: 0 } }));
+    assert.equal(onDirectCost.tax.position, 0);
+    assert.equal(onDirectCost.tax.taxableBase, 220);
+    assert.equal(onDirectCost.tax.amount, 17.6);
+    assert.equal(onDirectCost.markups[0].base, 2467.6);
+
+    const afterContingency = calculateProjectEstimate(createProject());
+    assert.equal(afterContingency.tax.position, 1);
+    assert.equal(afterContingency.tax.taxableBase, 242);
+    assert.equal(afterContingency.tax.amount, 19.36);
+    assert.equal(afterContingency.markups[0].base, 2450);
+});
+
+test('tax position is clamped to the size of the markup stack', () => {
+    const estimate = calculateProjectEstimate(createProject({ tax: { rate: 8, position: 10 } }));
+
+    assert.equal(estimate.tax.position, 4);
+    assert.equal(estimate.tax.taxableBase, 298.68);
+    assert.equal(estimate.tax.amount, 23.89);
+});
+
+test('line tax overrides make a line fully taxable or exempt', () => {
+    const project = createProject({ tax: { rate: 8, position: 0 } });
+    project.lineItems[0].taxable = false;
+    project.lineItems[1].taxable = true;
+    const estimate = calculateProjectEstimate(project);
+
+    assert.equal(estimate.tax.taxableBase, 2000);
+    assert.equal(estimate.tax.amount, 160);
+});
+
+test('the grand total is the direct cost plus every markup and the tax', () => {
+    const estimate = calculateProjectEstimate(createProject());
+    const markupTotal = estimate.markups.reduce((sum, markup) => sum + markup.amount, 0);
+
+    assert.equal(estimate.total, 3350.07);
+    assert.equal(Math.round((estimate.subtotal + markupTotal + estimate.tax.amount) * 100) / 100, estimate.total);
+    assert.equal(estimate.bidRounding.amount, 0);
+});
+
+test('the grand total rounds up to the bid increment', () => {
+    const estimate = calculateProjectEstimate(createProject({ rounding: { bidIncrement: 100 } }));
+
+    assert.equal(estimate.total, 3400);
+    assert.equal(estimate.bidRounding.amount, 49.93);
+});
+
+test('a project without line items totals zero', () => {
+    const estimate = calculateProjectEstimate({});
+
+    assert.deepEqual(estimate.lineItems, []);
+    assert.equal(estimate.subtotal, 0);
+    assert.ok(estimate.markups.every(markup => markup.amount === 0));
+    assert.equal(estimate.tax.amount, 0);
+    assert.equal(estimate.total, 0);
+});
+
+test('running sums price an edited line the same as a full recalculation', () => {
+    const lineSums = createLineSums();
+    const project = createProject();
+    calculateProjectEstimate(project, { lineSums });
+
+    const edited = { ...project.lineItems[0], quantity: 12, costCode: '06 10 00', taxable: false, bidType: 'allowance' };
+    updateLineSums(lineSums, project.lineItems[0], edited);
+    const updated = { ...project, lineItems: [edited, project.lineItems[1]] };
+    const running = calculateProjectEstimate(updated, { lineSums });
+    const full = calculateProjectEstimate(updated);
+    const withoutIndexes = divisions => divisions.map(({ lineIndexes, ...division }) => division);
+
+    assert.equal(running.lineItems, null);
+    assert.equal(running.allowances.lineCount, 1);
+    assert.deepEqual(running.subtotals, full.subtotals);
+    assert.deepEqual(running.tax, full.tax);
+    assert.equal(running.allowances.total, full.allowances.total);
+    assert.deepEqual(withoutIndexes(running.divisions), withoutIndexes(full.divisions));
+    assert.equal(running.total, full.total);
+});
+
+test('running sums are filled in again when the lines no longer match them', () => {
+    const lineSums = createLineSums();
+    const project = createProject();
+    calculateProjectEstimate(project, { lineSums });
+
+    // A line added without moving it into the sums
+    const added = { ...project, lineItems: [...project.lineItems, { id: 'paint', quantity: 100, material: 1 }] };
+    const estimate = calculateProjectEstimate(added, { lineSums });
+
+    assert.deepEqual(estimate.lineItems.map(line => line.lineTotal), [450, 2000, 100]);
+    assert.equal(estimate.subtotal, 2550);
+    assert.equal(calculateProjectEstimate(added, { lineSums }).subtotal, 2550);
+});
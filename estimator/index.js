@@ -0,0 +1,325 @@
+/**
+ * Estimator Main Entry Point
+ *
+ * This module exports the headless estimating logic in a single interface.
+ * Nothing in here touches the DOM, so it can be imported from the app,
+ * from exporters or from Node.
+ */
+
+// Export number helpers
+export { toNonNegativeNumber, clampPercent } from './number-utils.js';
+
+// Export cost categories
+export {
+    COST_CATEGORIES,
+    COST_CATEGORY_LABELS,
+    createCategoryTotals,
+    normalizeCategories,
+    sumCategories
+} from './cost-categories.js';
+
+// Export markup stack
+export {
+    MARKUP_TYPE,
+    DEFAULT_MARKUPS,
+    MARKUP_PRESETS,
+    normalizeMarkup,
+    createDefaultMarkups,
+    getProjectMarkups,
+    applyMarkups
+} from './markup-stack.js';
+
+// Export sales tax
+export {
+    DEFAULT_TAX_SETTINGS,
+    normalizeTaxSettings,
+    normalizeTaxableOverride,
+    getTaxableLineCosts,
+    calculateSalesTax
+} from './sales-tax.js';
+
+// Export crews
+export {
+    DEFAULT_TRADES,
+    DEFAULT_CREWS,
+    normalizeTrade,
+    normalizeCrew,
+    getProjectTrades,
+    getProjectCrews,
+    calculateCrewRate,
+    createCrewRates,
+    calculateCrewLabor
+} from './crews.js';
+
+// Export cost codes
+export {
+    MASTERFORMAT_DIVISIONS,
+    UNASSIGNED_DIVISION,
+    normalizeCostCode,
+    normalizeCustomCostCode,
+    getProjectCostCodes,
+    getDivisionCode,
+    getDivisionName,
+    getCostCodeWaste,
+    summarizeByDivision,
+    summarizeDivisionSums
+} from './cost-codes.js';
+
+// Export assemblies
+export {
+    DEFAULT_ASSEMBLIES,
+    normalizeAssemblyComponent,
+    normalizeAssembly,
+    getUserAssemblies,
+    normalizeAssemblyInstance,
+    getProjectAssemblyInstances,
+    scaleComponentQuantity,
+    expandAssembly
+} from './assemblies.js';
+
+// Export price book
+export {
+    PRICE_BOOK_COST_FIELDS,
+    normalizePriceBookEntry,
+    getUserPriceBook,
+    stampPriceBookEntries,
+    searchPriceBook,
+    findPriceBookEntry,
+    getPriceDifferences
+} from './price-book.js';
+
+// Export quantity formulas
+export {
+    MAX_FORMULA_LENGTH,
+    isQuantityFormula,
+    evaluateQuantityFormula
+} from './quantity-formula.js';
+
+// Export units of measure
+export {
+    UNIT_DIMENSIONS,
+    BUILT_IN_UNITS,
+    createUnitId,
+    normalizeCustomUnit,
+    getUserCustomUnits,
+    getUnitRegistry,
+    findUnit,
+    canConvertUnits,
+    convertQuantity,
+    convertUnitPrice
+} from './units.js';
+
+// Export bid items (base bid, allowances, alternates)
+export {
+    BID_TYPE,
+    ALTERNATE_DIRECTION,
+    normalizeBidType,
+    normalizeAlternateNumber,
+    normalizeAlternate,
+    getLineAlternateNumber,
+    getProjectAlternates,
+    getBidItemMarkups
+} from './bid-items.js';
+
+// Export revisions
+export {
+    MAX_AUTO_REVISIONS,
+    MAX_REVISIONS_SIZE,
+    MAX_LOCAL_REVISIONS,
+    LINE_DIFF_FIELDS,
+    createRevision,
+    normalizeRevision,
+    summarizeRevision,
+    trimStoredRevisions,
+    mergeRevisions,
+    sortRevisions,
+    pruneRevisions,
+    isSameProjectSnapshot,
+    diffProjects
+} from './revisions.js';
+
+// Export what-if scenarios
+export {
+    CATEGORY_COST_FIELDS,
+    normalizeAdjustment,
+    normalizeScenario,
+    getProjectScenarios,
+    applyScenario,
+    compareScenarios
+} from './scenarios.js';
+
+// Export subcontractor bid packages (bid leveling)
+export {
+    SCOPE_STATUS,
+    normalizeScopeStatus,
+    normalizeScopeItem,
+    normalizeBidQuote,
+    normalizeBidPackage,
+    getProjectBidPackages,
+    levelBidPackage,
+    applyBidPackage
+} from './bid-packages.js';
+
+// Export schedule of values and progress billing
+export {
+    SOV_GROUPING,
+    DEFAULT_BILLING,
+    normalizeSovItem,
+    normalizeBillingPeriod,
+    normalizeBilling,
+    getProjectBilling,
+    createScheduleOfValues,
+    createBillingPeriod,
+    calculatePayApplication
+} from './pay-applications.js';
+
+// Export currency
+export {
+    CURRENCIES,
+    DECIMAL_SEPARATORS,
+    GROUP_SEPARATORS,
+    MAX_DECIMALS,
+    DEFAULT_CURRENCY_SETTINGS,
+    normalizeCurrencyCode,
+    getCurrencyPreset,
+    normalizeExchangeRate,
+    normalizeCurrencySettings,
+    getProjectCurrencySettings,
+    formatNumber,
+    formatMoney,
+    formatInputNumber,
+    parseLocaleNumber,
+    findCurrencyCode,
+    convertToProjectCurrency
+} from './currency.js';
+
+// Export money arithmetic and rounding
+export {
+    ROUNDING_MODE,
+    ROUNDING_SCOPE,
+    BID_ROUNDING_INCREMENTS,
+    EXTRA_LINE_DECIMALS,
+    DEFAULT_ROUNDING_SETTINGS,
+    normalizeRoundingSettings,
+    getProjectRoundingSettings,
+    getLineDecimals,
+    multiplyAmounts,
+    roundAmount,
+    sumAmounts,
+    allocateAmount,
+    roundUpToIncrement
+} from './money.js';
+
+// Export location cost index
+export {
+    LOCATION_FACTOR_CATEGORIES,
+    normalizeFactorValue,
+    normalizeZipPrefixes,
+    normalizeLocationFactor,
+    getUserLocationFactors,
+    extractZipCode,
+    findLocationFactor,
+    normalizeProjectLocation,
+    getProjectLocation,
+    calculateLocationAdjustment
+} from './location-index.js';
+
+// Export escalation
+export {
+    ESCALATION_CATEGORIES,
+    ESCALATION_FACTOR_DECIMALS,
+    DEFAULT_ESCALATION_SETTINGS,
+    normalizeEscalationDate,
+    normalizeEscalationRate,
+    normalizeEscalationSettings,
+    getProjectEscalation,
+    getEscalationYears,
+    calculateEscalation
+} from './escalation.js';
+
+// Export line item sections
+export {
+    normalizeSection,
+    getProjectSections,
+    groupLinesBySection,
+    summarizeBySection,
+    summarizeSectionSums
+} from './sections.js';
+
+// Export line item list rows and windowing
+export {
+    LINE_ROW_TYPE,
+    buildLineRows,
+    getRowOffset,
+    getVisibleRowRange
+} from './line-list.js';
+
+// Export line item grid (spreadsheet view and clipboard)
+export {
+    GRID_COLUMNS,
+    parseClipboardText,
+    formatClipboardText,
+    getGridRows,
+    findGridColumn,
+    guessPasteColumns,
+    matchPastedUnit,
+    readPastedLines,
+    pasteLineItems,
+    fillDownLines
+} from './line-grid.js';
+
+// Export bulk line item edits
+export {
+    BULK_ACTION,
+    BULK_ADJUSTMENT_MODE,
+    BULK_COST_DECIMALS,
+    normalizeBulkAction,
+    selectLinesBySection,
+    selectLinesByCostCode,
+    applyBulkAction,
+    previewBulkAction
+} from './bulk-edit.js';
+
+// Export estimate QA checks
+export {
+    QA_LEVEL,
+    QA_RULES,
+    DEFAULT_QA_SETTINGS,
+    normalizeQaSettings,
+    getUserQaSettings,
+    runQaChecks,
+    countQaIssues
+} from './qa-checks.js';
+
+// Export edit history (undo/redo)
+export {
+    MAX_HISTORY_STEPS,
+    MAX_HISTORY_SIZE,
+    createEditHistory,
+    recordHistoryStep,
+    getHistorySize,
+    pruneEditHistories,
+    assignHistoryProject,
+    canUndo,
+    canRedo,
+    getUndoLabel,
+    getRedoLabel,
+    undoHistoryStep,
+    redoHistoryStep
+} from './edit-history.js';
+
+// Export CSV reading and writing
+export {
+    formatCSVText,
+    splitCSVRecords,
+    parseCSVLine
+} from './csv.js';
+
+// Export estimate engine
+export {
+    calculateLineItem,
+    createLineTotalsCache,
+    createLineSums,
+    updateLineSums,
+    calculateProjectEstimate
+} from './estimate-engine.js';
@@ -0,0 +1,322 @@
+/**
+ * Line Item Grid
+ *
+ * The compact, spreadsheet-style view of the line items:
+ * - One row per line with the columns below; the other fields stay on the line's card
+ * - Rows copy to (and paste from) Excel or Google Sheets as tab-separated text,
+ *   with cells holding tabs, line breaks or quotes quoted the way spreadsheets do
+ * - Pasted columns are matched to grid columns by their header row, or by position
+ *   when the values fit the columns; otherwise the user maps them
+ * - Pasted rows overwrite the lines from the pasted-into row down and add lines
+ *   after the last one
+ * - Fill-down copies the first line's cell into the lines below it
+ */
+
+import { normalizeCostCode } from './cost-codes.js';
+import { evaluateQuantityFormula } from './quantity-formula.js';
+
+/**
+ * Grid columns, in the order they are shown (and copied)
+ */
+export const GRID_COLUMNS = [
+    { field: 'description', label: 'Description', type: 'text', aliases: ['description', 'desc', 'item', 'items', 'item description', 'scope', 'task'] },
+    { field: 'quantity', label: 'Qty', type: 'quantity', aliases: ['qty', 'quantity', 'qnty', 'quan'] },
+    { field: 'unit', label: 'Unit', type: 'unit', aliases: ['unit', 'units', 'uom', 'u/m', 'um'] },
+    { field: 'material', label: 'Material', type: 'number', aliases: ['material', 'materials', 'mat', 'material cost', 'material unit cost', 'material price'] },
+    { field: 'labor', label: 'Labor', type: 'number', aliases: ['labor', 'labour', 'lab', 'labor cost', 'labour cost', 'labor unit cost'] },
+    { field: 'equipment', label: 'Equipment', type: 'number', aliases: ['equipment', 'equip', 'eq', 'equipment cost', 'equipment unit cost'] },
+    { field: 'subcontract', label: 'Subcontract', type: 'number', aliases: ['subcontract', 'sub', 'subs', 'subcontractor', 'subcontract cost', 'sub cost'] },
+    { field: 'waste', label: 'Waste %', type: 'number', aliases: ['waste', 'waste %', 'waste%', 'waste percent'] },
+    { field: 'costCode', label: 'Cost Code', type: 'code', aliases: ['cost code', 'costcode', 'code', 'csi', 'csi code'] },
+    { field: 'notes', label: 'Notes', type: 'text', aliases: ['notes', 'note', 'remarks', 'comments', 'comment'] }
+];
+
+// Common unit abbreviations that are not unit ids
+const UNIT_ALIASES = {
+    sf: 'sqft',
+    ft2: 'sqft',
+    sy: 'sqyd',
+    m2: 'sqm',
+    cuyd: 'cy',
+    lnft: 'lf',
+    lump: 'ls',
+    lot: 'ls',
+    each: 'ea',
+    hrs: 'hr',
+    days: 'day'
+};
+
+// A number with separators ("1,234.5", "1.234,5", "1 234"), as opposed to a formula.
+// Separators only come between groups of three digits, so "3 4" is not a number.
+const PLAIN_NUMBER = /^[+-]?(\d+|\d{1,3}([ \u00a0'’.,]\d{3})+)([.,]\d+)?$/;
+
+/**
+ * @typedef {Object} PasteColumns
+ * @property {boolean} hasHeader - The first pasted row names the columns
+ * @property {(string|null)[]} columns - Grid field of each pasted column (null = skipped)
+ * @property {boolean} confident - The columns are clear enough to paste without asking
+ */
+
+/**
+ * @typedef {Object} PasteOptions
+ * @property {function(string): number} [parseNumber] - Reads a pasted number (NaN when it is not one)
+ * @property {function(string): string} [resolveUnit] - Unit id for pasted unit text
+ */
+
+/**
+ * @typedef {Object} PasteResult
+ * @property {Object[]} lineItems - All line items after the paste
+ * @property {number[]} lineIndexes - The pasted lines, in pasted order
+ */
+
+function normalizeHeader(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9%/ ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function defaultParseNumber(text) {
+    const cleaned = String(text || '').replace(/[^\d.-]/g, '');
+    return cleaned ? Number(cleaned) : NaN;
+}
+
+/**
+ * Split tab-separated clipboard text into rows of cells
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseClipboardText(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const source = String(text || '').replace(/\r\n?/g, '\n');
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === '\t') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n') {
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    // Spreadsheets end the copied text with a line break
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Join rows of cells into tab-separated clipboard text
+ *
+ * @param {Array<Array<string|number>>} rows
+ * @returns {string}
+ */
+export function formatClipboardText(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[\t\n\r"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join('\t')).join('\n');
+}
+
+/**
+ * Grid cells of line items, ready for the clipboard
+ *
+ * @param {Object[]} items
+ * @param {function(number): string} [formatNumber] - Writes numbers (defaults to plain "1234.5")
+ * @returns {string[][]}
+ */
+export function getGridRows(items, formatNumber = String) {
+    return items.map(item => GRID_COLUMNS.map(({ field, type }) => {
+        if (field === 'quantity' && item.quantityFormula) return item.quantityFormula;
+        if (type === 'number' || type === 'quantity') {
+            const number = parseFloat(item[field]) || 0;
+            return field === 'waste' && !number ? '' : formatNumber(number);
+        }
+        return item[field] || '';
+    }));
+}
+
+/**
+ * Grid field named by a column header, or null
+ *
+ * @param {string} header
+ * @returns {string|null}
+ */
+export function findGridColumn(header) {
+    const name = normalizeHeader(header);
+    if (!name) return null;
+    const column = GRID_COLUMNS.find(entry => entry.aliases.includes(name) || normalizeHeader(entry.label) === name);
+    return column ? column.field : null;
+}
+
+/**
+ * Match pasted columns to grid columns: by the header row when the first row is
+ * one, otherwise by position from the pasted-into column, as long as the number
+ * columns hold numbers
+ *
+ * @param {string[][]} rows - Pasted rows
+ * @param {number} [startColumn] - Grid column the paste started in
+ * @param {PasteOptions} [options]
+ * @returns {PasteColumns}
+ */
+export function guessPasteColumns(rows, startColumn = 0, options = {}) {
+    const { parseNumber = defaultParseNumber } = options;
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const header = rows[0] || [];
+    const named = header.map(findGridColumn);
+    const namedCount = named.filter(Boolean).length;
+    const filledHeaders = header.filter(cell => String(cell).trim()).length;
+
+    if (namedCount && namedCount * 2 >= filledHeaders) {
+        const columns = Array.from({ length: width }, (_, index) => named[index] || null);
+        const unique = new Set(columns.filter(Boolean)).size === namedCount;
+        return { hasHeader: true, columns, confident: unique && namedCount === filledHeaders };
+    }
+
+    const columns = Array.from({ length: width }, (_, index) => {
+        const column = GRID_COLUMNS[startColumn + index];
+        return column ? column.field : null;
+    });
+    const fits = startColumn + width <= GRID_COLUMNS.length && columns.every((field, index) => {
+        const column = GRID_COLUMNS.find(entry => entry.field === field);
+        if (column.type !== 'number' && column.type !== 'quantity') return true;
+        return rows.every(row => {
+            const value = String(row[index] ?? '').trim();
+            return !value || Number.isFinite(parseNumber(value));
+        });
+    });
+    return { hasHeader: false, columns, confident: fits };
+}
+
+/**
+ * Unit id for pasted unit text ("SF", "Sq Ft", "sqft"), or the text itself
+ * when no unit matches
+ *
+ * @param {import('./units.js').Unit[]} registry
+ * @param {string} text
+ * @returns {string}
+ */
+export function matchPastedUnit(registry, text) {
+    const trimmed = String(text || '').trim();
+    const key = trimmed.toLowerCase().replace(/[\s.²]/g, match => (match === '²' ? '2' : ''));
+    const id = UNIT_ALIASES[key] || key;
+    const unit = registry.find(entry => entry.id === id || entry.label.toLowerCase().replace(/[\s.]/g, '') === key);
+    return unit ? unit.id : trimmed;
+}
+
+/**
+ * Read pasted rows into line item fields (only the mapped fields are set;
+ * blank rows are skipped)
+ *
+ * @param {string[][]} rows - Pasted rows, without the header row
+ * @param {(string|null)[]} columns - Grid field of each pasted column
+ * @param {PasteOptions} [options]
+ * @returns {Object[]}
+ */
+export function readPastedLines(rows, columns, options = {}) {
+    const { parseNumber = defaultParseNumber, resolveUnit = text => String(text).trim() } = options;
+    return rows
+        .filter(row => row.some(cell => String(cell).trim()))
+        .map(row => {
+            const line = {};
+            columns.forEach((field, index) => {
+                if (!field) return;
+                const value = String(row[index] ?? '').trim();
+                const { type } = GRID_COLUMNS.find(column => column.field === field);
+                if (type === 'quantity') {
+                    // Anything that is not a plain number is kept as a quantity formula
+                    if (value && !PLAIN_NUMBER.test(value)) {
+                        const result = evaluateQuantityFormula(value);
+                        line.quantity = result.error ? 0 : Math.max(0, result.value);
+                        line.quantityFormula = value;
+                    } else {
+                        line.quantity = Math.max(0, parseNumber(value) || 0);
+                        line.quantityFormula = '';
+                    }
+                } else if (type === 'number') {
+                    line[field] = Math.max(0, parseNumber(value) || 0);
+                } else if (type === 'unit') {
+                    if (value) line.unit = resolveUnit(value);
+                } else if (type === 'code') {
+                    line.costCode = normalizeCostCode(value);
+                } else {
+                    line[field] = value;
+                }
+            });
+            return line;
+        });
+}
+
+/**
+ * Paste lines over the target lines, in order; lines past the last target are
+ * added right after it, in its section
+ *
+ * @param {Object[]} items
+ * @param {number[]} targetIndexes - Lines to overwrite, in grid order (from the pasted-into row down)
+ * @param {Object[]} lines - Pasted line fields (see readPastedLines)
+ * @returns {PasteResult} New line objects for the pasted lines; the others are kept
+ */
+export function pasteLineItems(items, targetIndexes, lines) {
+    const lineItems = items.slice();
+    const lineIndexes = [];
+    lines.slice(0, targetIndexes.length).forEach((line, position) => {
+        const index = targetIndexes[position];
+        lineItems[index] = { ...lineItems[index], ...line };
+        lineIndexes.push(index);
+    });
+
+    const added = lines.slice(targetIndexes.length);
+    if (added.length) {
+        const anchor = targetIndexes.length ? targetIndexes[targetIndexes.length - 1] : lineItems.length - 1;
+        const sectionId = anchor >= 0 ? lineItems[anchor].sectionId || '' : '';
+        const insertAt = anchor + 1;
+        lineItems.splice(insertAt, 0, ...added.map(line => ({ ...line, sectionId })));
+        // Overwritten lines after the insert point moved down
+        lineIndexes.forEach((index, position) => {
+            if (index >= insertAt) lineIndexes[position] = index + added.length;
+        });
+        added.forEach((line, offset) => lineIndexes.push(insertAt + offset));
+    }
+    return { lineItems, lineIndexes };
+}
+
+/**
+ * Copy a field of the first line into the other lines
+ *
+ * @param {Object[]} items
+ * @param {number[]} lineIndexes - The line to copy from first, then the lines to fill
+ * @param {string} field - A grid field
+ * @returns {Object[]} New line objects for the filled lines; the others are kept
+ */
+export function fillDownLines(items, lineIndexes, field) {
+    const [sourceIndex, ...targets] = lineIndexes;
+    const source = items[sourceIndex];
+    if (!source || !GRID_COLUMNS.some(column => column.field === field)) return items;
+    const values = field === 'quantity'
+        ? { quantity: source.quantity, quantityFormula: source.quantityFormula || '' }
+        : { [field]: source[field] };
+    const lineItems = items.slice();
+    targets.forEach(index => {
+        if (lineItems[index]) lineItems[index] = { ...lineItems[index], ...values };
+    });
+    return lineItems;
+}
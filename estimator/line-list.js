@@ -0,0 +1,134 @@
+/**
+ * Line Item List
+ *
+ * Which rows the line item list shows, and which of them are in view, so a
+ * project with thousands of lines only renders the rows on screen:
+ * - Section headers, each followed by its lines (lines outside any section first)
+ * - With division grouping, division headers instead, each followed by its lines
+ *   (sorted by division, in project order within one; unassigned lines last)
+ * - Lines of collapsed sections and divisions are left out
+ * - The rows in view are found from the row heights (measured once rendered,
+ *   estimated before) and the scroll position
+ */
+
+import { UNASSIGNED_DIVISION, getDivisionCode } from './cost-codes.js';
+import { groupLinesBySection } from './sections.js';
+
+/**
+ * Kinds of rows in the list
+ */
+export const LINE_ROW_TYPE = {
+    SECTION: 'section',
+    DIVISION: 'division',
+    LINE: 'line'
+};
+
+/**
+ * @typedef {Object} LineRow
+ * @property {'section'|'division'|'line'} type
+ * @property {string} key - Stable across rebuilds: "section:<id>", "division:<code>" or the line id
+ * @property {import('./sections.js').Section} [section] - Section headers
+ * @property {string} [division] - Division headers
+ * @property {number[]} [lineIndexes] - Lines under a header, shown or not
+ * @property {number} [index] - Line rows: the line's index in the project
+ */
+
+/**
+ * @typedef {Object} RowRange
+ * @property {number} start - First row to render
+ * @property {number} end - One past the last row to render
+ * @property {number} offsetTop - Height of the rows above start
+ * @property {number} offsetBottom - Height of the rows from end on
+ */
+
+/**
+ * Rows of the line item list
+ *
+ * @param {Object[]} items - Line items with an id and an optional sectionId
+ * @param {import('./sections.js').Section[]} sections
+ * @param {Object} [options]
+ * @param {boolean} [options.groupByDivision] - Division headers instead of sections
+ * @param {Set<string>} [options.collapsedDivisions]
+ * @returns {LineRow[]}
+ */
+export function buildLineRows(items, sections, options = {}) {
+    const { groupByDivision = false, collapsedDivisions = new Set() } = options;
+    const lineRow = index => ({ type: LINE_ROW_TYPE.LINE, key: items[index].id, index });
+    const rows = [];
+
+    if (groupByDivision) {
+        const groups = new Map();
+        items.forEach((item, index) => {
+            const division = getDivisionCode(item.costCode);
+            if (!groups.has(division)) groups.set(division, []);
+            groups.get(division).push(index);
+        });
+        const divisions = Array.from(groups.keys()).sort((a, b) => {
+            if (a === UNASSIGNED_DIVISION) return 1;
+            if (b === UNASSIGNED_DIVISION) return -1;
+            return a.localeCompare(b);
+        });
+        divisions.forEach(division => {
+            const lineIndexes = groups.get(division);
+            rows.push({ type: LINE_ROW_TYPE.DIVISION, key: `division:${division}`, division, lineIndexes });
+            if (!collapsedDivisions.has(division)) rows.push(...lineIndexes.map(lineRow));
+        });
+        return rows;
+    }
+
+    groupLinesBySection(items, sections).forEach(({ section, lineIndexes }) => {
+        if (section) {
+            rows.push({ type: LINE_ROW_TYPE.SECTION, key: `section:${section.id}`, section, lineIndexes });
+        }
+        if (!section || !section.collapsed) rows.push(...lineIndexes.map(lineRow));
+    });
+    return rows;
+}
+
+/**
+ * Height of the rows before a row
+ *
+ * @param {number[]} heights - Height of every row
+ * @param {number} rowIndex
+ * @returns {number}
+ */
+export function getRowOffset(heights, rowIndex) {
+    let offset = 0;
+    for (let index = 0; index < rowIndex && index < heights.length; index++) {
+        offset += heights[index];
+    }
+    return offset;
+}
+
+/**
+ * Rows in view, plus a few more on each side so scrolling does not show gaps
+ *
+ * @param {number[]} heights - Height of every row
+ * @param {number} scrollTop - Scroll position of the list
+ * @param {number} viewportHeight - Visible height of the list
+ * @param {number} [overscan] - Extra rows rendered above and below
+ * @returns {RowRange}
+ */
+export function getVisibleRowRange(heights, scrollTop, viewportHeight, overscan = 3) {
+    let start = 0;
+    let top = 0;
+    while (start < heights.length && top + heights[start] <= scrollTop) {
+        top += heights[start];
+        start++;
+    }
+    let end = start;
+    let bottom = top;
+    while (end < heights.length && (end === start || bottom < scrollTop + viewportHeight)) {
+        bottom += heights[end];
+        end++;
+    }
+
+    const firstRow = Math.max(0, start - overscan);
+    const lastRow = Math.min(heights.length, end + overscan);
+    const offsetTop = getRowOffset(heights, firstRow);
+    let offsetBottom = 0;
+    for (let index = lastRow; index < heights.length; index++) {
+        offsetBottom += heights[index];
+    }
+    return { start: firstRow, end: lastRow, offsetTop, offsetBottom };
+}
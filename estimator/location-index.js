@@ -0,0 +1,194 @@
+/**
+ * Location Cost Index
+ *
+ * Regional pricing for estimates built from home-market costs:
+ * - The user's table of regions, each with ZIP code prefixes and a factor for
+ *   materials, labor and equipment (1.00 = home market)
+ * - A project's location picks a region, by hand or by the ZIP code in it; the
+ *   factors used are kept on the project, so it still prices without the table
+ *   (e.g. imported from CSV or opened on another account)
+ * - Factors apply to direct cost per category, before markups and sales tax.
+ *   Line items keep their unadjusted base costs; subcontract quotes are taken
+ *   as already local
+ */
+
+import { COST_CATEGORIES, createCategoryTotals } from './cost-categories.js';
+import { DEFAULT_ROUNDING_SETTINGS, multiplyAmounts, sumAmounts } from './money.js';
+
+/**
+ * Cost categories a location factor applies to
+ */
+export const LOCATION_FACTOR_CATEGORIES = ['materials', 'labor', 'equipment'];
+
+/**
+ * @typedef {Object} LocationFactor
+ * @property {string} id
+ * @property {string} region - e.g. "Denver, CO"
+ * @property {string[]} zipPrefixes - e.g. ["800", "802"]
+ * @property {number} materials - Multiplier on home-market material cost
+ * @property {number} labor
+ * @property {number} equipment
+ */
+
+/**
+ * @typedef {Object} ProjectLocation
+ * @property {string} name - Location as entered on the project (address, city or ZIP)
+ * @property {string} factorId - Region picked from the user's table ('' = home market)
+ * @property {string} region - Region name when it was picked
+ * @property {{materials: number, labor: number, equipment: number}} factors - Factors used
+ */
+
+/**
+ * @typedef {Object} LocationAdjustment
+ * @property {string} region
+ * @property {{materials: number, labor: number, equipment: number}} factors
+ * @property {Object<string, number>} categoryAmounts - Adjustment per cost category
+ * @property {number} amount - Total adjustment (negative for cheaper markets)
+ * @property {Object<string, number>} categoryTotals - Adjusted direct cost per category
+ */
+
+/**
+ * Parse a factor; blanks and invalid values mean no adjustment (1)
+ *
+ * @param {any} value
+ * @returns {number}
+ */
+export function normalizeFactorValue(value) {
+    const factor = parseFloat(value);
+    return Number.isFinite(factor) && factor > 0 ? factor : 1;
+}
+
+/**
+ * Parse ZIP code prefixes from a list or text like "800, 802; 803"
+ *
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function normalizeZipPrefixes(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,;/]+/);
+    return Array.from(new Set(parts.map(part => String(part).replace(/\D/g, '')).filter(Boolean)));
+}
+
+function normalizeFactors(source = {}) {
+    return LOCATION_FACTOR_CATEGORIES.reduce((factors, category) => {
+        factors[category] = normalizeFactorValue(source[category]);
+        return factors;
+    }, {});
+}
+
+/**
+ * Normalize a stored location factor
+ *
+ * @param {Object} entry
+ * @param {number} [index]
+ * @returns {LocationFactor}
+ */
+export function normalizeLocationFactor(entry = {}, index = 0) {
+    return {
+        id: entry.id ? String(entry.id) : `location-${index + 1}`,
+        region: (entry.region || '').trim(),
+        zipPrefixes: normalizeZipPrefixes(entry.zipPrefixes),
+        ...normalizeFactors(entry)
+    };
+}
+
+/**
+ * Get the user's location factor table, dropping rows without a region
+ *
+ * @param {Object} settings - User settings
+ * @returns {LocationFactor[]}
+ */
+export function getUserLocationFactors(settings = {}) {
+    return (Array.isArray(settings.locationFactors) ? settings.locationFactors : [])
+        .map(normalizeLocationFactor)
+        .filter(entry => entry.region);
+}
+
+/**
+ * The ZIP code in a location, e.g. "80202" in "Denver, CO 80202-1234"
+ *
+ * @param {string} text
+ * @returns {string} '' when there is none
+ */
+export function extractZipCode(text) {
+    const matches = String(text || '').match(/\b\d{3,5}(?:-\d{4})?\b/g);
+    return matches ? matches[matches.length - 1].slice(0, 5) : '';
+}
+
+/**
+ * Find the region for a ZIP code by its longest matching prefix
+ *
+ * @param {LocationFactor[]} factors
+ * @param {string} zip
+ * @returns {LocationFactor|null}
+ */
+export function findLocationFactor(factors, zip) {
+    const code = String(zip || '').replace(/\D/g, '');
+    if (!code) return null;
+    let best = null;
+    let bestLength = 0;
+    factors.forEach(entry => {
+        entry.zipPrefixes.forEach(prefix => {
+            if (code.startsWith(prefix) && prefix.length > bestLength) {
+                best = entry;
+                bestLength = prefix.length;
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * Normalize a project's stored location
+ *
+ * @param {Object|string} location
+ * @returns {ProjectLocation}
+ */
+export function normalizeProjectLocation(location = {}) {
+    const source = typeof location === 'string' ? { name: location } : (location || {});
+    const factorId = source.factorId ? String(source.factorId) : '';
+    return {
+        name: (source.name || '').trim(),
+        factorId,
+        region: factorId ? (source.region || '').trim() : '',
+        factors: factorId ? normalizeFactors(source.factors) : normalizeFactors()
+    };
+}
+
+/**
+ * Get a project's location
+ *
+ * @param {Object} project
+ * @returns {ProjectLocation}
+ */
+export function getProjectLocation(project = {}) {
+    return normalizeProjectLocation(project.location);
+}
+
+/**
+ * Apply a location's factors to direct cost subtotals
+ *
+ * @param {Object<string, number>} subtotals - Direct cost per category
+ * @param {ProjectLocation} location
+ * @param {import('./money.js').RoundingSettings} [rounding]
+ * @returns {LocationAdjustment}
+ */
+export function calculateLocationAdjustment(subtotals, location, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const { decimals, mode } = rounding;
+    const categoryAmounts = createCategoryTotals();
+    const categoryTotals = createCategoryTotals();
+    COST_CATEGORIES.forEach(category => {
+        const factor = LOCATION_FACTOR_CATEGORIES.includes(category) ? location.factors[category] : 1;
+        categoryTotals[category] = factor === 1
+            ? subtotals[category]
+            : multiplyAmounts([subtotals[category], factor], [], decimals, mode);
+        categoryAmounts[category] = sumAmounts([categoryTotals[category], -subtotals[category]], decimals);
+    });
+    return {
+        region: location.region,
+        factors: location.factors,
+        categoryAmounts,
+        amount: sumAmounts(Object.values(categoryAmounts), decimals),
+        categoryTotals
+    };
+}
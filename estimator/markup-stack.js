@@ -0,0 +1,161 @@
+/**
+ * Markup Stack
+ *
+ * Ordered, per-project list of markups applied on top of the direct cost:
+ * - Percentage or fixed amount
+ * - Compounding (applies to the running total) or simple (direct cost only)
+ * - Optionally limited to a subset of cost categories
+ * - Optionally applied to allowances as well as the base bid
+ */
+
+import { COST_CATEGORIES, normalizeCategories, sumCategories } from './cost-categories.js';
+import { toNonNegativeNumber, clampPercent } from './number-utils.js';
+import { DEFAULT_ROUNDING_SETTINGS, multiplyAmounts, roundAmount, sumAmounts, allocateAmount } from './money.js';
+
+/**
+ * Markup value types
+ */
+export const MARKUP_TYPE = {
+    PERCENT: 'percent',
+    FIXED: 'fixed'
+};
+
+/**
+ * The markups every project had before the stack became configurable.
+ * Legacy projects store these as top-level percentages (project.contingency etc.).
+ */
+export const DEFAULT_MARKUPS = [
+    { id: 'contingency', label: 'Contingency', defaultPercent: 10 },
+    { id: 'overhead', label: 'Overhead', defaultPercent: 10 },
+    { id: 'profit', label: 'Profit', defaultPercent: 10 },
+    { id: 'bond', label: 'Bond Cost', defaultPercent: 2 }
+];
+
+/**
+ * Common extra markup lines offered when adding a new row
+ */
+export const MARKUP_PRESETS = [
+    { id: 'insurance', label: 'Insurance', type: MARKUP_TYPE.PERCENT, value: 1.5, compounding: true },
+    { id: 'permits', label: 'Permit Fees', type: MARKUP_TYPE.FIXED, value: 0, compounding: false },
+    { id: 'warranty', label: 'Warranty Reserve', type: MARKUP_TYPE.PERCENT, value: 0.5, compounding: false },
+    { id: 'gc-fee', label: 'GC Fee (Subcontracts)', type: MARKUP_TYPE.PERCENT, value: 5, compounding: false, categories: ['subcontract'] }
+];
+
+/**
+ * @typedef {Object} Markup
+ * @property {string} id
+ * @property {string} label
+ * @property {'percent'|'fixed'} type
+ * @property {number} value - Percentage (0-100) or fixed amount
+ * @property {boolean} compounding - Apply to the running total instead of direct cost only
+ * @property {string[]} categories - Cost categories the markup applies to
+ * @property {boolean} allowances - Also mark up allowance lines (see bid-items.js)
+ */
+
+/**
+ * @typedef {Markup & {base: number, amount: number}} MarkupAmount
+ */
+
+/**
+ * Normalize a stored markup line, filling in defaults
+ *
+ * @param {Object} markup
+ * @param {number} [index] - Position, used to build an id when missing
+ * @returns {Markup}
+ */
+export function normalizeMarkup(markup = {}, index = 0) {
+    const type = markup.type === MARKUP_TYPE.FIXED ? MARKUP_TYPE.FIXED : MARKUP_TYPE.PERCENT;
+    return {
+        id: markup.id ? String(markup.id) : `markup-${index + 1}`,
+        label: (markup.label || '').trim() || 'Markup',
+        type,
+        value: type === MARKUP_TYPE.FIXED ? toNonNegativeNumber(markup.value) : clampPercent(markup.value),
+        compounding: markup.compounding !== false,
+        categories: normalizeCategories(markup.categories),
+        allowances: markup.allowances === true
+    };
+}
+
+/**
+ * Build the default markup stack, taking percentages from a legacy project if present
+ *
+ * @param {Object} [legacy] - Object with contingency/overhead/profit/bond percentages
+ * @returns {Markup[]}
+ */
+export function createDefaultMarkups(legacy = {}) {
+    return DEFAULT_MARKUPS.map(({ id, label, defaultPercent }, index) => normalizeMarkup({
+        id,
+        label,
+        type: MARKUP_TYPE.PERCENT,
+        value: legacy[id] !== undefined && legacy[id] !== null && legacy[id] !== '' ? legacy[id] : defaultPercent,
+        compounding: true
+    }, index));
+}
+
+/**
+ * Get a project's markup stack, migrating legacy fixed markups when needed
+ *
+ * @param {Object} project
+ * @returns {Markup[]}
+ */
+export function getProjectMarkups(project = {}) {
+    if (Array.isArray(project.markups)) {
+        return project.markups.map(normalizeMarkup);
+    }
+    return createDefaultMarkups(project);
+}
+
+/**
+ * Add an amount to the running category totals, in proportion to their current size.
+ * The shares are whole cents (or the currency's smallest unit) and add up to the amount.
+ *
+ * @param {Object<string, number>} running
+ * @param {string[]} categories
+ * @param {number} amount
+ * @param {number} decimals
+ */
+function distributeAmount(running, categories, amount, decimals) {
+    const shares = allocateAmount(amount, categories.map(category => running[category]), decimals);
+    categories.forEach((category, index) => {
+        running[category] = sumAmounts([running[category], shares[index]], decimals);
+    });
+}
+
+/**
+ * Apply a markup stack to direct cost subtotals
+ *
+ * Compounding markups use the running total of their categories (direct cost
+ * plus every markup already applied to those categories); simple markups use
+ * the direct cost only. Either way the amount is folded into the running
+ * totals so later compounding markups build on it.
+ *
+ * @param {Object<string, number>} subtotals - Direct cost per category
+ * @param {Object[]} markups - Markup lines, in order
+ * @param {Object<string, number>} [startingTotals] - Running totals to continue from
+ *     when the stack is applied in parts (e.g. around sales tax); defaults to the subtotals
+ * @param {import('./money.js').RoundingSettings} [rounding] - Each markup amount is rounded
+ *     to the currency's decimal places
+ * @returns {{markups: MarkupAmount[], categoryTotals: Object<string, number>, total: number}}
+ */
+export function applyMarkups(subtotals, markups = [], startingTotals = subtotals, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const { decimals, mode } = rounding;
+    const running = { ...startingTotals };
+
+    const applied = markups.map((raw, index) => {
+        const markup = normalizeMarkup(raw, index);
+        const base = markup.compounding
+            ? sumCategories(running, markup.categories, decimals)
+            : sumCategories(subtotals, markup.categories, decimals);
+        const amount = markup.type === MARKUP_TYPE.FIXED
+            ? roundAmount(markup.value, decimals, mode)
+            : multiplyAmounts([base, markup.value], [100], decimals, mode);
+        distributeAmount(running, markup.categories, amount, decimals);
+        return { ...markup, base, amount };
+    });
+
+    return {
+        markups: applied,
+        categoryTotals: running,
+        total: sumCategories(running, COST_CATEGORIES, decimals)
+    };
+}
@@ -0,0 +1,259 @@
+/**
+ * Money
+ *
+ * Exact decimal arithmetic and the project's rounding rules:
+ * - Products like quantity × unit cost × (1 + waste %) are computed exactly on
+ *   the decimal inputs and rounded once, instead of in binary floating point
+ * - Sums are taken in whole units of the smallest amount (e.g. cents), so the
+ *   parts always add up to the total
+ * - Round half-up or banker's rounding (half to even)
+ * - Round every line to the currency's decimal places, or carry lines at full
+ *   precision and round only the totals
+ * - Optionally round the final bid up to the nearest 10, 100 or 1000
+ *
+ * Amounts stay plain numbers in the project currency, always holding an exact
+ * decimal value (e.g. 12.35), so the UI and exports can format them directly.
+ */
+
+import { getProjectCurrencySettings } from './currency.js';
+
+/**
+ * How ties (an exact half) are rounded
+ */
+export const ROUNDING_MODE = {
+    HALF_UP: 'half-up',
+    HALF_EVEN: 'half-even'
+};
+
+/**
+ * Where amounts are rounded to the currency's decimal places
+ */
+export const ROUNDING_SCOPE = {
+    LINE: 'line',
+    TOTAL: 'total'
+};
+
+/**
+ * Amounts the final bid can be rounded up to (0 = no rounding)
+ */
+export const BID_ROUNDING_INCREMENTS = [0, 10, 100, 1000];
+
+/**
+ * Extra decimal places lines carry when only totals are rounded
+ */
+export const EXTRA_LINE_DECIMALS = 4;
+
+/**
+ * @typedef {Object} RoundingSettings
+ * @property {'line'|'total'} scope - Round every line, or only the totals
+ * @property {'half-up'|'half-even'} mode
+ * @property {number} bidIncrement - Round the final bid up to this amount (0 = off)
+ * @property {number} decimals - Decimal places of the project currency
+ */
+
+/**
+ * Rounding for projects that never configured it: every line to the cent, half up
+ * @type {RoundingSettings}
+ */
+export const DEFAULT_ROUNDING_SETTINGS = {
+    scope: ROUNDING_SCOPE.LINE,
+    mode: ROUNDING_MODE.HALF_UP,
+    bidIncrement: 0,
+    decimals: 2
+};
+
+/**
+ * Normalize stored rounding settings
+ *
+ * @param {Object} settings
+ * @returns {RoundingSettings}
+ */
+export function normalizeRoundingSettings(settings = {}) {
+    const bidIncrement = Number(settings.bidIncrement);
+    const decimals = parseInt(settings.decimals, 10);
+    return {
+        scope: Object.values(ROUNDING_SCOPE).includes(settings.scope) ? settings.scope : DEFAULT_ROUNDING_SETTINGS.scope,
+        mode: Object.values(ROUNDING_MODE).includes(settings.mode) ? settings.mode : DEFAULT_ROUNDING_SETTINGS.mode,
+        bidIncrement: BID_ROUNDING_INCREMENTS.includes(bidIncrement) ? bidIncrement : 0,
+        decimals: Number.isFinite(decimals) ? Math.min(4, Math.max(0, decimals)) : DEFAULT_ROUNDING_SETTINGS.decimals
+    };
+}
+
+/**
+ * Get a project's rounding settings; amounts round to the decimal places of its currency
+ *
+ * @param {Object} project
+ * @returns {RoundingSettings}
+ */
+export function getProjectRoundingSettings(project = {}) {
+    return normalizeRoundingSettings({
+        ...(project.rounding || {}),
+        decimals: getProjectCurrencySettings(project).decimals
+    });
+}
+
+/**
+ * Decimal places line amounts are rounded to
+ *
+ * @param {RoundingSettings} rounding
+ * @returns {number}
+ */
+export function getLineDecimals(rounding = DEFAULT_ROUNDING_SETTINGS) {
+    return rounding.scope === ROUNDING_SCOPE.TOTAL ? rounding.decimals + EXTRA_LINE_DECIMALS : rounding.decimals;
+}
+
+const TEN = BigInt(10);
+
+function powerOfTen(exponent) {
+    return TEN ** BigInt(exponent);
+}
+
+/**
+ * Read a number as an exact decimal. Values are taken at 15 significant digits,
+ * which drops binary noise such as 0.30000000000000004.
+ *
+ * @param {any} value
+ * @returns {{digits: bigint, scale: number}} value = digits / 10^scale
+ */
+function toDecimal(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number === 0) {
+        return { digits: BigInt(0), scale: 0 };
+    }
+    const [mantissa, exponentText] = number.toPrecision(15).split('e');
+    const [whole, fraction = ''] = mantissa.split('.');
+    const exponent = parseInt(exponentText || '0', 10);
+    let digits = BigInt(whole + fraction);
+    let scale = fraction.length - exponent;
+    if (scale < 0) {
+        digits *= powerOfTen(-scale);
+        scale = 0;
+    }
+    return { digits, scale };
+}
+
+/**
+ * Integer division rounded to the nearest whole number
+ *
+ * @param {bigint} numerator
+ * @param {bigint} denominator - Not zero
+ * @param {'half-up'|'half-even'} mode
+ * @returns {bigint}
+ */
+function divideRounded(numerator, denominator, mode) {
+    const zero = BigInt(0);
+    const negative = (numerator < zero) !== (denominator < zero);
+    const n = numerator < zero ? -numerator : numerator;
+    const d = denominator < zero ? -denominator : denominator;
+    let quotient = n / d;
+    const twiceRemainder = (n % d) * BigInt(2);
+    if (twiceRemainder > d || (twiceRemainder === d && (mode !== ROUNDING_MODE.HALF_EVEN || quotient % BigInt(2) === BigInt(1)))) {
+        quotient += BigInt(1);
+    }
+    return negative ? -quotient : quotient;
+}
+
+function fromUnits(units, decimals) {
+    return Number(units) / 10 ** decimals;
+}
+
+function toUnits(amount, decimals) {
+    return Math.round(Number(amount || 0) * 10 ** decimals);
+}
+
+/**
+ * Multiply (and divide) decimal values exactly, rounding the result once
+ *
+ * @param {number[]} factors
+ * @param {number[]} [divisors] - A zero divisor makes the result 0
+ * @param {number} [decimals]
+ * @param {'half-up'|'half-even'} [mode]
+ * @returns {number}
+ */
+export function multiplyAmounts(factors, divisors = [], decimals = 2, mode = ROUNDING_MODE.HALF_UP) {
+    let numerator = BigInt(1);
+    let numeratorScale = 0;
+    for (const factor of factors) {
+        const decimal = toDecimal(factor);
+        numerator *= decimal.digits;
+        numeratorScale += decimal.scale;
+    }
+    let denominator = BigInt(1);
+    let denominatorScale = 0;
+    for (const divisor of divisors) {
+        const decimal = toDecimal(divisor);
+        if (decimal.digits === BigInt(0)) return 0;
+        denominator *= decimal.digits;
+        denominatorScale += decimal.scale;
+    }
+    // units = numerator / 10^numeratorScale / (denominator / 10^denominatorScale) * 10^decimals
+    const shift = decimals + denominatorScale - numeratorScale;
+    const units = shift >= 0
+        ? divideRounded(numerator * powerOfTen(shift), denominator, mode)
+        : divideRounded(numerator, denominator * powerOfTen(-shift), mode);
+    return fromUnits(units, decimals);
+}
+
+/**
+ * Round a value to a number of decimal places
+ *
+ * @param {number} value
+ * @param {number} [decimals]
+ * @param {'half-up'|'half-even'} [mode]
+ * @returns {number}
+ */
+export function roundAmount(value, decimals = 2, mode = ROUNDING_MODE.HALF_UP) {
+    return multiplyAmounts([value], [], decimals, mode);
+}
+
+/**
+ * Add amounts that have at most the given number of decimal places, without drift
+ *
+ * @param {number[]} amounts
+ * @param {number} [decimals]
+ * @returns {number}
+ */
+export function sumAmounts(amounts, decimals = 2) {
+    return fromUnits(amounts.reduce((total, amount) => total + toUnits(amount, decimals), 0), decimals);
+}
+
+/**
+ * Split an amount in proportion to weights so the parts add up to it exactly
+ * (largest remainder first)
+ *
+ * @param {number} amount - Has at most the given number of decimal places
+ * @param {number[]} weights
+ * @param {number} [decimals]
+ * @returns {number[]}
+ */
+export function allocateAmount(amount, weights, decimals = 2) {
+    if (!weights.length) return [];
+    const total = toUnits(amount, decimals);
+    const weightSum = weights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+    const shares = weights.map(weight => (weightSum > 0 ? Math.max(0, weight) / weightSum : 1 / weights.length) * total);
+    const parts = shares.map(share => Math.trunc(share));
+    let remainder = total - parts.reduce((sum, part) => sum + part, 0);
+    const step = remainder < 0 ? -1 : 1;
+    const order = shares
+        .map((share, index) => ({ index, fraction: Math.abs(share - parts[index]) }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+    for (let i = 0; remainder !== 0; i = (i + 1) % order.length) {
+        parts[order[i].index] += step;
+        remainder -= step;
+    }
+    return parts.map(part => fromUnits(part, decimals));
+}
+
+/**
+ * Round a total up to the next multiple of an increment
+ *
+ * @param {number} value
+ * @param {number} increment - 0 leaves the value as it is
+ * @returns {number}
+ */
+export function roundUpToIncrement(value, increment) {
+    if (!increment) return value;
+    const units = toUnits(value, 4);
+    const step = increment * 10 ** 4;
+    return fromUnits(Math.ceil(units / step) * step, 4);
+}
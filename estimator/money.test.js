@@ -0,0 +1,109 @@
+/**
+ * Money arithmetic and rounding tests
+ *
+ * Run with: node --test estimator/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    ROUNDING_MODE,
+    ROUNDING_SCOPE,
+    normalizeRoundingSettings,
+    getProjectRoundingSettings,
+    getLineDecimals,
+    multiplyAmounts,
+    roundAmount,
+    sumAmounts,
+    allocateAmount,
+    roundUpToIncrement
+} from './money.js';
+
+test('products are computed on the decimal inputs, not their binary approximations', () => {
+    assert.equal(multiplyAmounts([0.1, 3]), 0.3);
+    assert.equal(multiplyAmounts([1.005]), 1.01);
+    assert.equal(multiplyAmounts([3, 0.335]), 1.01);
+    assert.equal(multiplyAmounts([10, 20, 110], [100]), 220);
+    assert.equal(multiplyAmounts([2, 1], [3], 4), 0.6667);
+});
+
+test('a zero divisor makes the product zero', () => {
+    assert.equal(multiplyAmounts([5, 2], [0]), 0);
+});
+
+test('ties round half up (away from zero) by default', () => {
+    assert.equal(roundAmount(0.125), 0.13);
+    assert.equal(roundAmount(2.5, 0), 3);
+    assert.equal(roundAmount(-2.5, 0), -3);
+    assert.equal(roundAmount(2.675), 2.68);
+});
+
+test('banker\'s rounding sends ties to the even digit', () => {
+    assert.equal(roundAmount(0.125, 2, ROUNDING_MODE.HALF_EVEN), 0.12);
+    assert.equal(roundAmount(0.135, 2, ROUNDING_MODE.HALF_EVEN), 0.14);
+    assert.equal(roundAmount(2.5, 0, ROUNDING_MODE.HALF_EVEN), 2);
+    assert.equal(roundAmount(3.5, 0, ROUNDING_MODE.HALF_EVEN), 4);
+    assert.equal(roundAmount(2.51, 0, ROUNDING_MODE.HALF_EVEN), 3);
+});
+
+test('amounts round to the currency decimals', () => {
+    assert.equal(roundAmount(1234.5, 0), 1235);
+    assert.equal(roundAmount(1.23456, 3), 1.235);
+});
+
+test('sums are taken in whole units without drift', () => {
+    assert.equal(sumAmounts([0.1, 0.2]), 0.3);
+    assert.equal(sumAmounts(new Array(100).fill(0.01)), 1);
+    assert.equal(sumAmounts([1000.05, -0.05]), 1000);
+    assert.equal(sumAmounts([0.001, 0.002], 3), 0.003);
+    assert.equal(sumAmounts([]), 0);
+});
+
+test('allocated parts add up to the amount exactly', () => {
+    assert.deepEqual(allocateAmount(100, [1, 1, 1]), [33.34, 33.33, 33.33]);
+    assert.deepEqual(allocateAmount(10, [1, 3]), [2.5, 7.5]);
+    assert.deepEqual(allocateAmount(0.05, [1, 1], 2), [0.03, 0.02]);
+    assert.deepEqual(allocateAmount(-100, [1, 1, 1]), [-33.34, -33.33, -33.33]);
+
+    const parts = allocateAmount(1234.57, [3.3, 7.1, 0.9, 12]);
+    assert.equal(sumAmounts(parts), 1234.57);
+});
+
+test('an amount is split evenly when no weight is positive', () => {
+    assert.deepEqual(allocateAmount(9, [0, 0, 0], 0), [3, 3, 3]);
+    assert.deepEqual(allocateAmount(1, []), []);
+});
+
+test('the bid rounds up to the next increment', () => {
+    assert.equal(roundUpToIncrement(3350.07, 100), 3400);
+    assert.equal(roundUpToIncrement(3350.07, 1000), 4000);
+    assert.equal(roundUpToIncrement(3400, 100), 3400);
+    assert.equal(roundUpToIncrement(3350.07, 0), 3350.07);
+});
+
+test('stored rounding settings fall back to the defaults', () => {
+    assert.deepEqual(normalizeRoundingSettings({ scope: 'other', mode: 'up', bidIncrement: 25, decimals: 9 }), {
+        scope: ROUNDING_SCOPE.LINE,
+        mode: ROUNDING_MODE.HALF_UP,
+        bidIncrement: 0,
+        decimals: 4
+    });
+    assert.deepEqual(normalizeRoundingSettings({ scope: 'total', mode: 'half-even', bidIncrement: '100' }), {
+        scope: ROUNDING_SCOPE.TOTAL,
+        mode: ROUNDING_MODE.HALF_EVEN,
+        bidIncrement: 100,
+        decimals: 2
+    });
+});
+
+test('a project rounds to its currency decimals', () => {
+    assert.equal(getProjectRoundingSettings({}).decimals, 2);
+    assert.equal(getProjectRoundingSettings({ currency: { currency: 'JPY' } }).decimals, 0);
+    assert.equal(getProjectRoundingSettings({ currency: { currency: 'USD', decimals: 3 }, rounding: { decimals: 2 } }).decimals, 3);
+});
+
+test('lines carry extra decimals when only totals are rounded', () => {
+    assert.equal(getLineDecimals(normalizeRoundingSettings({ scope: 'line' })), 2);
+    assert.equal(getLineDecimals(normalizeRoundingSettings({ scope: 'total' })), 6);
+});
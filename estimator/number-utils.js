@@ -0,0 +1,26 @@
+/**
+ * Number Utilities
+ *
+ * Parsing helpers shared by the estimator modules.
+ * Form values arrive as strings, so everything is parsed defensively.
+ */
+
+/**
+ * Parse a value as a number, treating blanks, NaN and negatives as zero
+ *
+ * @param {any} value
+ * @returns {number}
+ */
+export function toNonNegativeNumber(value) {
+    return Math.max(0, parseFloat(value) || 0);
+}
+
+/**
+ * Parse a percentage and clamp it to the 0-100 range
+ *
+ * @param {any} value
+ * @returns {number}
+ */
+export function clampPercent(value) {
+    return Math.min(100, toNonNegativeNumber(value));
+}
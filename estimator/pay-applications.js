@@ -0,0 +1,333 @@
+/**
+ * Schedule of Values and Progress Billing
+ *
+ * Billing an awarded estimate month by month (AIA G702/G703 style):
+ * - The schedule of values splits the contract sum (the base bid) over the line
+ *   items or the sections, each line's share of the markups, tax and rounding in
+ *   proportion to its direct cost; allowance lines share the allowance total
+ * - Items can be edited or added later (e.g. approved change orders); the
+ *   difference to the original contract sum is the net change by change orders
+ * - Each billing period records the % complete to date and the materials
+ *   presently stored for every item. Work completed in earlier periods, this
+ *   period, the balance to finish and the retainage follow from those
+ * - Retainage has its own percentage for completed work and for stored materials
+ */
+
+import { clampPercent, toNonNegativeNumber } from './number-utils.js';
+import { BID_TYPE, normalizeBidType } from './bid-items.js';
+import { groupLinesBySection } from './sections.js';
+import { DEFAULT_ROUNDING_SETTINGS, allocateAmount, getProjectRoundingSettings, multiplyAmounts, roundAmount, sumAmounts } from './money.js';
+
+/**
+ * What the schedule of values has an item for
+ */
+export const SOV_GROUPING = {
+    LINE: 'line',
+    SECTION: 'section'
+};
+
+/**
+ * Billing settings of projects that have none yet
+ */
+export const DEFAULT_BILLING = {
+    grouping: SOV_GROUPING.LINE,
+    retainagePercent: 10,
+    storedRetainagePercent: 10,
+    originalContractSum: 0,
+    items: [],
+    periods: []
+};
+
+/**
+ * @typedef {Object} SovItem
+ * @property {string} id - "line:<line id>", "section:<section id>" or a generated id for added items
+ * @property {string} description
+ * @property {string} costCode
+ * @property {number} scheduledValue
+ */
+
+/**
+ * @typedef {Object} BillingEntry
+ * @property {number} percentComplete - Work completed to date, % of the scheduled value
+ * @property {number} storedMaterials - Materials presently stored (not yet in the work completed)
+ */
+
+/**
+ * @typedef {Object} BillingPeriod
+ * @property {string} id
+ * @property {string} periodTo - Last day of the period (YYYY-MM-DD), '' when not set
+ * @property {Object<string, BillingEntry>} entries - By schedule of values item id
+ */
+
+/**
+ * @typedef {Object} Billing
+ * @property {string} grouping - SOV_GROUPING the schedule was generated with
+ * @property {number} retainagePercent - Retainage on completed work
+ * @property {number} storedRetainagePercent - Retainage on stored materials
+ * @property {number} originalContractSum - Scheduled values when the schedule was generated
+ * @property {SovItem[]} items
+ * @property {BillingPeriod[]} periods - Oldest first; period n is application n
+ */
+
+/**
+ * @typedef {Object} ContinuationLine - A row of the continuation sheet (G703 columns A-I)
+ * @property {string} itemId
+ * @property {number} itemNumber - A
+ * @property {string} description - B
+ * @property {string} costCode
+ * @property {number} scheduledValue - C
+ * @property {number} percentComplete - % of C completed (without stored materials)
+ * @property {number} previous - D: work completed in earlier periods
+ * @property {number} thisPeriod - E: work completed this period
+ * @property {number} stored - F: materials presently stored
+ * @property {number} completedAndStored - G: D + E + F
+ * @property {number} percent - G / C in %
+ * @property {number} balance - H: C - G
+ * @property {number} retainage - I
+ */
+
+/**
+ * @typedef {Object} PayApplication
+ * @property {number} number - Application number (1 for the first period)
+ * @property {BillingPeriod} period
+ * @property {ContinuationLine[]} lines
+ * @property {Object} totals - Column totals (scheduledValue, previous, thisPeriod, stored,
+ *     completedAndStored, percent, balance, retainage)
+ * @property {Object} summary - Application for payment (G702 lines 1-9)
+ * @property {number} summary.originalContractSum
+ * @property {number} summary.changeOrders - Net change by change orders
+ * @property {number} summary.contractSumToDate
+ * @property {number} summary.completedAndStored
+ * @property {number} summary.retainageOnWork
+ * @property {number} summary.retainageOnStored
+ * @property {number} summary.retainage
+ * @property {number} summary.earnedLessRetainage
+ * @property {number} summary.previousCertificates - Earned less retainage of the previous application
+ * @property {number} summary.currentPaymentDue
+ * @property {number} summary.balanceToFinish - Including retainage
+ */
+
+/**
+ * Normalize a stored schedule of values item
+ *
+ * @param {Object} item
+ * @param {number} [index]
+ * @param {number} [decimals] - Decimal places of the project currency
+ * @returns {SovItem}
+ */
+export function normalizeSovItem(item = {}, index = 0, decimals = 2) {
+    return {
+        id: item.id ? String(item.id) : `sov-${index + 1}`,
+        description: (item.description || '').trim() || `Item ${index + 1}`,
+        costCode: (item.costCode || '').trim(),
+        scheduledValue: roundAmount(toNonNegativeNumber(item.scheduledValue), decimals)
+    };
+}
+
+/**
+ * Normalize a stored billing period
+ *
+ * @param {Object} period
+ * @param {number} [index]
+ * @param {number} [decimals] - Decimal places of the project currency
+ * @returns {BillingPeriod}
+ */
+export function normalizeBillingPeriod(period = {}, index = 0, decimals = 2) {
+    const entries = {};
+    Object.entries(period.entries || {}).forEach(([itemId, entry]) => {
+        const percentComplete = clampPercent((entry || {}).percentComplete);
+        const storedMaterials = roundAmount(toNonNegativeNumber((entry || {}).storedMaterials), decimals);
+        if (percentComplete || storedMaterials) entries[itemId] = { percentComplete, storedMaterials };
+    });
+    return {
+        id: period.id ? String(period.id) : `period-${index + 1}`,
+        periodTo: /^\d{4}-\d{2}-\d{2}$/.test(period.periodTo || '') ? period.periodTo : '',
+        entries
+    };
+}
+
+/**
+ * Normalize stored billing, filling in defaults
+ *
+ * @param {Object} [billing]
+ * @param {import('./money.js').RoundingSettings} [rounding] - Amounts keep the currency's decimal places
+ * @returns {Billing}
+ */
+export function normalizeBilling(billing = {}, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const source = billing || {};
+    const { decimals = 2 } = rounding;
+    const percent = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : clampPercent(value));
+    return {
+        grouping: Object.values(SOV_GROUPING).includes(source.grouping) ? source.grouping : DEFAULT_BILLING.grouping,
+        retainagePercent: percent(source.retainagePercent, DEFAULT_BILLING.retainagePercent),
+        storedRetainagePercent: percent(source.storedRetainagePercent, DEFAULT_BILLING.storedRetainagePercent),
+        originalContractSum: roundAmount(toNonNegativeNumber(source.originalContractSum), decimals),
+        items: (Array.isArray(source.items) ? source.items : []).map((item, index) => normalizeSovItem(item, index, decimals)),
+        periods: (Array.isArray(source.periods) ? source.periods : []).map((period, index) => normalizeBillingPeriod(period, index, decimals))
+    };
+}
+
+/**
+ * Get a project's billing (schedule of values and billing periods)
+ *
+ * @param {Object} project
+ * @returns {Billing}
+ */
+export function getProjectBilling(project = {}) {
+    return normalizeBilling(project.billing, getProjectRoundingSettings(project));
+}
+
+/**
+ * Schedule of values of an estimate: the base bid total split over the base bid
+ * lines and the allowance total over the allowance lines, by direct cost. Alternates
+ * are not part of the contract. Items with no value are left out.
+ *
+ * @param {Object} project - Project data (lineItems, sections)
+ * @param {import('./estimate-engine.js').EstimateResult} estimate - calculateProjectEstimate(project)
+ * @param {Object} [options]
+ * @param {string} [options.grouping] - SOV_GROUPING
+ * @param {import('./money.js').RoundingSettings} [options.rounding]
+ * @returns {SovItem[]}
+ */
+export function createScheduleOfValues(project, estimate, options = {}) {
+    const { grouping = SOV_GROUPING.LINE, rounding = DEFAULT_ROUNDING_SETTINGS } = options;
+    const { decimals = 2 } = rounding;
+    const items = Array.isArray(project.lineItems) ? project.lineItems : [];
+    const values = items.map(() => 0);
+    const distribute = (lineIndexes, amount) => {
+        if (!lineIndexes.length) return;
+        const weights = lineIndexes.map(index => estimate.lineItems[index].lineTotal);
+        allocateAmount(amount, weights, decimals).forEach((value, position) => {
+            values[lineIndexes[position]] = value;
+        });
+    };
+    const baseIndexes = items
+        .map((item, index) => index)
+        .filter(index => normalizeBidType(items[index].bidType) === BID_TYPE.BASE);
+    distribute(baseIndexes, sumAmounts([estimate.total, -estimate.allowances.total], decimals));
+    distribute(estimate.allowances.lineIndexes, estimate.allowances.total);
+
+    if (grouping === SOV_GROUPING.SECTION) {
+        return groupLinesBySection(items, project.sections || [])
+            .map(({ section, lineIndexes }) => ({
+                id: section ? `section:${section.id}` : 'section:',
+                description: section ? section.name : 'General',
+                costCode: '',
+                scheduledValue: sumAmounts(lineIndexes.map(index => values[index]), decimals)
+            }))
+            .filter(item => item.scheduledValue > 0)
+            .map((item, index) => normalizeSovItem(item, index, decimals));
+    }
+    return items
+        .map((item, index) => ({
+            id: `line:${item.id || index + 1}`,
+            description: item.description || `Line ${index + 1}`,
+            costCode: item.costCode || '',
+            scheduledValue: values[index]
+        }))
+        .filter(item => item.scheduledValue > 0)
+        .map((item, index) => normalizeSovItem(item, index, decimals));
+}
+
+/**
+ * A new billing period, starting from where the last one left off
+ *
+ * @param {Billing} billing
+ * @param {string} id
+ * @param {import('./money.js').RoundingSettings} [rounding]
+ * @returns {BillingPeriod}
+ */
+export function createBillingPeriod(billing, id, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const last = billing.periods[billing.periods.length - 1];
+    return normalizeBillingPeriod({ id, entries: last ? last.entries : {} }, billing.periods.length, rounding.decimals);
+}
+
+/**
+ * Work completed to date of an item in a period (rounded once, so later periods
+ * bill exactly what the earlier ones left)
+ */
+function getCompletedToDate(item, period, decimals) {
+    const entry = period ? period.entries[item.id] : null;
+    return entry ? multiplyAmounts([item.scheduledValue, entry.percentComplete], [100], decimals) : 0;
+}
+
+/**
+ * Pay application of a billing period: the continuation sheet and the
+ * application for payment
+ *
+ * @param {Billing} billing
+ * @param {number} periodIndex
+ * @param {import('./money.js').RoundingSettings} [rounding]
+ * @returns {PayApplication|null} null when there is no such period
+ */
+export function calculatePayApplication(billing, periodIndex, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const period = billing.periods[periodIndex];
+    if (!period) return null;
+    const { decimals = 2 } = rounding;
+    const previousPeriod = billing.periods[periodIndex - 1] || null;
+    const percentOf = (part, whole) => (whole > 0 ? roundAmount((part / whole) * 100, 2) : 0);
+
+    const lines = billing.items.map((item, index) => {
+        const entry = period.entries[item.id] || { percentComplete: 0, storedMaterials: 0 };
+        const previous = getCompletedToDate(item, previousPeriod, decimals);
+        const completed = getCompletedToDate(item, period, decimals);
+        const stored = roundAmount(entry.storedMaterials, decimals);
+        const completedAndStored = sumAmounts([completed, stored], decimals);
+        return {
+            itemId: item.id,
+            itemNumber: index + 1,
+            description: item.description,
+            costCode: item.costCode,
+            scheduledValue: item.scheduledValue,
+            percentComplete: entry.percentComplete,
+            previous,
+            thisPeriod: sumAmounts([completed, -previous], decimals),
+            stored,
+            completedAndStored,
+            percent: percentOf(completedAndStored, item.scheduledValue),
+            balance: sumAmounts([item.scheduledValue, -completedAndStored], decimals),
+            retainage: sumAmounts([
+                multiplyAmounts([completed, billing.retainagePercent], [100], decimals),
+                multiplyAmounts([stored, billing.storedRetainagePercent], [100], decimals)
+            ], decimals)
+        };
+    });
+
+    const total = field => sumAmounts(lines.map(line => line[field]), decimals);
+    const totals = {
+        scheduledValue: total('scheduledValue'),
+        previous: total('previous'),
+        thisPeriod: total('thisPeriod'),
+        stored: total('stored'),
+        completedAndStored: total('completedAndStored'),
+        balance: total('balance'),
+        retainage: total('retainage')
+    };
+    totals.percent = percentOf(totals.completedAndStored, totals.scheduledValue);
+
+    const retainageOnStored = sumAmounts(lines.map(line => multiplyAmounts([line.stored, billing.storedRetainagePercent], [100], decimals)), decimals);
+    const earnedLessRetainage = sumAmounts([totals.completedAndStored, -totals.retainage], decimals);
+    const previousApplication = periodIndex > 0 ? calculatePayApplication(billing, periodIndex - 1, rounding) : null;
+    const previousCertificates = previousApplication ? previousApplication.summary.earnedLessRetainage : 0;
+    const originalContractSum = billing.originalContractSum;
+
+    return {
+        number: periodIndex + 1,
+        period,
+        lines,
+        totals,
+        summary: {
+            originalContractSum,
+            changeOrders: sumAmounts([totals.scheduledValue, -originalContractSum], decimals),
+            contractSumToDate: totals.scheduledValue,
+            completedAndStored: totals.completedAndStored,
+            retainageOnWork: sumAmounts([totals.retainage, -retainageOnStored], decimals),
+            retainageOnStored,
+            retainage: totals.retainage,
+            earnedLessRetainage,
+            previousCertificates,
+            currentPaymentDue: sumAmounts([earnedLessRetainage, -previousCertificates], decimals),
+            balanceToFinish: sumAmounts([totals.scheduledValue, -earnedLessRetainage], decimals)
+        }
+    };
+}
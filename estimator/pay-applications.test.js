@@ -0,0 +1,166 @@
+/**
+ * Schedule of values and progress billing tests
+ *
+ * Run with: node --test estimator/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateProjectEstimate } from './estimate-engine.js';
+import { normalizeRoundingSettings, sumAmounts } from './money.js';
+import {
+    SOV_GROUPING,
+    normalizeBilling,
+    getProjectBilling,
+    createScheduleOfValues,
+    createBillingPeriod,
+    calculatePayApplication
+} from './pay-applications.js';
+
+/**
+ * Base bid: 300 + 700 direct cost with 10% overhead = 1100. Allowance: 100, not marked up.
+ */
+function createProject() {
+    return {
+        markups: [{ id: 'overhead', label: 'Overhead', value: 10 }],
+        sections: [{ id: 'interiors', name: 'Interiors' }],
+        lineItems: [
+            { id: 'a', description: 'Drywall', quantity: 100, unit: 'sf', material: 3, costCode: '09 29 00', sectionId: 'interiors' },
+            { id: 'b', description: 'Paint', quantity: 1, unit: 'ls', subcontract: 700, sectionId: 'interiors' },
+            { id: 'c', description: 'Hardware allowance', quantity: 1, unit: 'ls', material: 100, bidType: 'allowance' }
+        ]
+    };
+}
+
+/**
+ * Contract sum 1200; retainage 10% on work and 5% on stored materials
+ */
+function createBilling() {
+    return normalizeBilling({
+        retainagePercent: 10,
+        storedRetainagePercent: 5,
+        originalContractSum: 1200,
+        items: [
+            { id: 'line:a', description: 'Drywall', scheduledValue: 330 },
+            { id: 'line:b', description: 'Paint', scheduledValue: 770 },
+            { id: 'line:c', description: 'Hardware allowance', scheduledValue: 100 }
+        ],
+        periods: [
+            { id: 'p1', periodTo: '2024-03-31', entries: { 'line:a': { percentComplete: 50 }, 'line:b': { storedMaterials: 200 } } },
+            { id: 'p2', periodTo: '2024-04-30', entries: { 'line:a': { percentComplete: 100 }, 'line:b': { percentComplete: 40 }, 'line:c': { percentComplete: 50 } } }
+        ]
+    });
+}
+
+test('the schedule of values splits the base bid and the allowances by direct cost', () => {
+    const project = createProject();
+    const estimate = calculateProjectEstimate(project);
+    const items = createScheduleOfValues(project, estimate);
+
+    assert.deepEqual(items, [
+        { id: 'line:a', description: 'Drywall', costCode: '09 29 00', scheduledValue: 330 },
+        { id: 'line:b', description: 'Paint', costCode: '', scheduledValue: 770 },
+        { id: 'line:c', description: 'Hardware allowance', costCode: '', scheduledValue: 100 }
+    ]);
+    assert.equal(estimate.total, 1200);
+});
+
+test('scheduled values add up to the contract sum exactly', () => {
+    const project = {
+        markups: [{ id: 'overhead', label: 'Overhead', value: 7.5 }],
+        lineItems: [1, 2, 3].map(id => ({ id: String(id), description: `Line ${id}`, quantity: 1, material: 33.33 }))
+    };
+    const estimate = calculateProjectEstimate(project);
+    const items = createScheduleOfValues(project, estimate);
+
+    assert.equal(sumAmounts(items.map(item => item.scheduledValue)), estimate.total);
+});
+
+test('the schedule of values can have one item per section', () => {
+    const project = createProject();
+    const items = createScheduleOfValues(project, calculateProjectEstimate(project), { grouping: SOV_GROUPING.SECTION });
+
+    assert.deepEqual(items.map(item => [item.id, item.description, item.scheduledValue]), [
+        ['section:', 'General', 100],
+        ['section:interiors', 'Interiors', 1100]
+    ]);
+});
+
+test('the schedule of values keeps the currency decimals', () => {
+    const rounding = normalizeRoundingSettings({ decimals: 3 });
+    const project = { currency: { currency: 'USD', decimals: 3 }, markups: [], lineItems: [{ id: 'a', quantity: 1, material: 1.2345 }] };
+    const items = createScheduleOfValues(project, calculateProjectEstimate(project), { rounding });
+
+    assert.equal(items[0].scheduledValue, 1.235);
+    assert.equal(getProjectBilling({ ...project, billing: { items } }).items[0].scheduledValue, 1.235);
+    assert.equal(normalizeBilling({ items }).items[0].scheduledValue, 1.24);
+});
+
+test('the first pay application bills work completed and stored materials', () => {
+    const application = calculatePayApplication(createBilling(), 0);
+
+    assert.equal(application.number, 1);
+    assert.deepEqual(
+        application.lines.map(line => [line.previous, line.thisPeriod, line.stored, line.completedAndStored, line.percent, line.balance, line.retainage]),
+        [
+            [0, 165, 0, 165, 50, 165, 16.5],
+            [0, 0, 200, 200, 25.97, 570, 10],
+            [0, 0, 0, 0, 0, 100, 0]
+        ]
+    );
+    assert.equal(application.totals.percent, 30.42);
+    assert.deepEqual(application.summary, {
+        originalContractSum: 1200,
+        changeOrders: 0,
+        contractSumToDate: 1200,
+        completedAndStored: 365,
+        retainageOnWork: 16.5,
+        retainageOnStored: 10,
+        retainage: 26.5,
+        earnedLessRetainage: 338.5,
+        previousCertificates: 0,
+        currentPaymentDue: 338.5,
+        balanceToFinish: 861.5
+    });
+});
+
+test('later pay applications bill only the work since the previous one', () => {
+    const application = calculatePayApplication(createBilling(), 1);
+
+    assert.equal(application.number, 2);
+    assert.deepEqual(application.lines.map(line => [line.previous, line.thisPeriod, line.stored]), [[165, 165, 0], [0, 308, 0], [0, 50, 0]]);
+    assert.equal(application.summary.completedAndStored, 688);
+    assert.equal(application.summary.retainage, 68.8);
+    assert.equal(application.summary.previousCertificates, 338.5);
+    assert.equal(application.summary.currentPaymentDue, 280.7);
+    assert.equal(application.summary.balanceToFinish, 580.8);
+});
+
+test('items added after the contract are change orders', () => {
+    const billing = createBilling();
+    billing.items.push({ id: 'co-1', description: 'Added door', costCode: '', scheduledValue: 50 });
+    const { summary } = calculatePayApplication(billing, 0);
+
+    assert.equal(summary.changeOrders, 50);
+    assert.equal(summary.contractSumToDate, 1250);
+});
+
+test('a new billing period starts from the last one', () => {
+    const billing = createBilling();
+    const period = createBillingPeriod(billing, 'p3');
+
+    assert.equal(period.id, 'p3');
+    assert.equal(period.periodTo, '');
+    assert.deepEqual(period.entries, billing.periods[1].entries);
+    assert.equal(calculatePayApplication(billing, 2), null);
+});
+
+test('stored billing falls back to the defaults', () => {
+    const billing = normalizeBilling({ grouping: 'other', retainagePercent: '', storedRetainagePercent: 150, periods: [{ periodTo: 'March', entries: { x: {} } }] });
+
+    assert.equal(billing.grouping, SOV_GROUPING.LINE);
+    assert.equal(billing.retainagePercent, 10);
+    assert.equal(billing.storedRetainagePercent, 100);
+    assert.deepEqual(billing.periods, [{ id: 'period-1', periodTo: '', entries: {} }]);
+});
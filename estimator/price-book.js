@@ -0,0 +1,159 @@
+/**
+ * Price Book
+ *
+ * The user's personal cost database:
+ * - Items with description, unit, material/labor/equipment unit costs, cost code
+ *   and default material waste %
+ * - Each item remembers when its prices last changed
+ * - Description search for autocomplete in line items
+ * - Comparison of a line item's prices with its price book item
+ */
+
+import { toNonNegativeNumber, clampPercent } from './number-utils.js';
+import { normalizeCostCode } from './cost-codes.js';
+
+/**
+ * Unit cost fields a price book item carries
+ */
+export const PRICE_BOOK_COST_FIELDS = ['material', 'labor', 'equipment'];
+
+/**
+ * @typedef {Object} PriceBookEntry
+ * @property {string} id
+ * @property {string} description
+ * @property {string} unit
+ * @property {number} material - Material cost per unit
+ * @property {number} labor - Labor cost per unit
+ * @property {number} equipment - Equipment cost per unit
+ * @property {string} costCode
+ * @property {number} waste - Default material waste (%)
+ * @property {string} updatedAt - ISO date the item last changed
+ */
+
+/**
+ * @typedef {Object} PriceDifference
+ * @property {string} field - One of PRICE_BOOK_COST_FIELDS
+ * @property {number} lineValue - Unit cost on the line item
+ * @property {number} priceBookValue - Unit cost in the price book
+ */
+
+/**
+ * Normalize a stored price book item
+ *
+ * @param {Object} entry
+ * @param {number} [index]
+ * @returns {PriceBookEntry}
+ */
+export function normalizePriceBookEntry(entry = {}, index = 0) {
+    return {
+        id: entry.id ? String(entry.id) : `price-${index + 1}`,
+        description: (entry.description || '').trim(),
+        unit: entry.unit || 'ea',
+        material: toNonNegativeNumber(entry.material),
+        labor: toNonNegativeNumber(entry.labor),
+        equipment: toNonNegativeNumber(entry.equipment),
+        costCode: normalizeCostCode(entry.costCode),
+        waste: clampPercent(entry.waste),
+        updatedAt: entry.updatedAt || ''
+    };
+}
+
+/**
+ * Get the user's price book, dropping items without a description
+ *
+ * @param {Object} settings - User settings
+ * @returns {PriceBookEntry[]}
+ */
+export function getUserPriceBook(settings = {}) {
+    return (Array.isArray(settings.priceBook) ? settings.priceBook : [])
+        .map(normalizePriceBookEntry)
+        .filter(entry => entry.description);
+}
+
+/**
+ * Carry over the last-updated date of unchanged items and stamp new or changed ones
+ *
+ * @param {PriceBookEntry[]} previous - Items as last saved
+ * @param {Object[]} entries - Items about to be saved
+ * @param {string} timestamp - ISO date to stamp changed items with
+ * @returns {PriceBookEntry[]}
+ */
+export function stampPriceBookEntries(previous, entries, timestamp) {
+    const previousById = new Map(previous.map(entry => [entry.id, entry]));
+    return entries.map((raw, index) => {
+        const entry = normalizePriceBookEntry(raw, index);
+        const before = previousById.get(entry.id);
+        const unchanged = before
+            && before.description === entry.description
+            && before.unit === entry.unit
+            && before.costCode === entry.costCode
+            && before.waste === entry.waste
+            && PRICE_BOOK_COST_FIELDS.every(field => before[field] === entry[field]);
+        return { ...entry, updatedAt: unchanged && before.updatedAt ? before.updatedAt : timestamp };
+    });
+}
+
+/**
+ * Find price book items whose description contains every word of the query.
+ * Items starting with the query come first.
+ *
+ * @param {PriceBookEntry[]} entries
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {PriceBookEntry[]}
+ */
+export function searchPriceBook(entries, query, limit = 8) {
+    const normalizedQuery = (query || '').trim().toLowerCase();
+    if (!normalizedQuery) return [];
+    const words = normalizedQuery.split(/\s+/);
+
+    return entries
+        .filter(entry => {
+            const description = entry.description.toLowerCase();
+            return words.every(word => description.includes(word));
+        })
+        .sort((a, b) => {
+            const aStarts = a.description.toLowerCase().startsWith(normalizedQuery);
+            const bStarts = b.description.toLowerCase().startsWith(normalizedQuery);
+            if (aStarts !== bStarts) return aStarts ? -1 : 1;
+            return a.description.localeCompare(b.description);
+        })
+        .slice(0, limit);
+}
+
+/**
+ * Price book item a line item was filled from (by id), or one with the same description
+ *
+ * @param {PriceBookEntry[]} entries
+ * @param {Object} item - Line item with priceBookId and description
+ * @returns {PriceBookEntry|null}
+ */
+export function findPriceBookEntry(entries, item) {
+    if (!item) return null;
+    if (item.priceBookId) {
+        const linked = entries.find(entry => entry.id === item.priceBookId);
+        if (linked) return linked;
+    }
+    const description = (item.description || '').trim().toLowerCase();
+    if (!description) return null;
+    return entries.find(entry => entry.description.toLowerCase() === description) || null;
+}
+
+/**
+ * Unit costs of a line item that differ from its price book item.
+ * Labor is skipped for crew-priced lines, whose labor comes from the crew.
+ *
+ * @param {Object} item - Line item
+ * @param {PriceBookEntry} entry
+ * @returns {PriceDifference[]}
+ */
+export function getPriceDifferences(item, entry) {
+    return PRICE_BOOK_COST_FIELDS
+        .filter(field => !(field === 'labor' && item.crewId))
+        .map(field => ({
+            field,
+            lineValue: toNonNegativeNumber(item[field]),
+            priceBookValue: entry[field]
+        }))
+        .filter(difference => Math.abs(difference.lineValue - difference.priceBookValue) >= 0.005);
+}
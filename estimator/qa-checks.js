@@ -0,0 +1,261 @@
+/**
+ * Estimate QA Checks
+ *
+ * Rule-based checks run over a project before it goes out:
+ * - Line checks: missing descriptions, zero quantities, lines with no unit cost,
+ *   invalid quantity formulas, repeated descriptions and quantities that do not
+ *   suit their unit (lump sums other than 1, fractional counts)
+ * - Unit costs far from the user's price book or from the same item in past projects
+ * - Project checks: markups above a usual percentage
+ * - Each rule is off, a warning, or blocks export; the levels and limits are per user
+ */
+
+import { toNonNegativeNumber } from './number-utils.js';
+import { getProjectMarkups, MARKUP_TYPE } from './markup-stack.js';
+import { PRICE_BOOK_COST_FIELDS, findPriceBookEntry } from './price-book.js';
+import { evaluateQuantityFormula } from './quantity-formula.js';
+import { BUILT_IN_UNITS, findUnit } from './units.js';
+
+/**
+ * What a failed rule does
+ */
+export const QA_LEVEL = {
+    OFF: 'off',
+    WARN: 'warn',
+    BLOCK: 'block'
+};
+
+/**
+ * Rules, in the order their issues are listed
+ */
+export const QA_RULES = [
+    { id: 'unusual-markup', label: 'Unusual markup', scope: 'project', level: QA_LEVEL.WARN },
+    { id: 'missing-description', label: 'Missing description', scope: 'line', level: QA_LEVEL.WARN },
+    { id: 'formula-error', label: 'Invalid quantity formula', scope: 'line', level: QA_LEVEL.BLOCK },
+    { id: 'zero-quantity', label: 'Zero quantity', scope: 'line', level: QA_LEVEL.WARN },
+    { id: 'zero-cost', label: 'No unit cost', scope: 'line', level: QA_LEVEL.WARN },
+    { id: 'duplicate-description', label: 'Duplicate description', scope: 'line', level: QA_LEVEL.WARN },
+    { id: 'unit-quantity', label: 'Quantity does not suit the unit', scope: 'line', level: QA_LEVEL.WARN },
+    { id: 'price-book-variance', label: 'Unit cost far from the price book', scope: 'line', level: QA_LEVEL.WARN },
+    { id: 'history-variance', label: 'Unit cost far from past projects', scope: 'line', level: QA_LEVEL.WARN }
+];
+
+/**
+ * QA settings for users who never changed them
+ */
+export const DEFAULT_QA_SETTINGS = {
+    levels: Object.fromEntries(QA_RULES.map(rule => [rule.id, rule.level])),
+    costVariance: 50,
+    maxMarkupPercent: 25
+};
+
+const LINE_COST_FIELDS = ['material', 'labor', 'equipment', 'subcontract'];
+
+/**
+ * @typedef {Object} QaSettings
+ * @property {Object<string, string>} levels - QA_LEVEL of each rule, by rule id
+ * @property {number} costVariance - % a unit cost may differ from the price book or past projects
+ * @property {number} maxMarkupPercent - Highest usual percentage for a single markup
+ */
+
+/**
+ * @typedef {Object} QaIssue
+ * @property {string} rule - Rule id
+ * @property {'warn'|'block'} level
+ * @property {string|null} lineId - Line the issue is on (null for project issues)
+ * @property {number|null} lineIndex
+ * @property {string|null} markupId - Markup the issue is on (unusual markups)
+ * @property {string} message
+ */
+
+/**
+ * Normalize stored QA settings, filling in defaults
+ *
+ * @param {Object} [settings]
+ * @returns {QaSettings}
+ */
+export function normalizeQaSettings(settings = {}) {
+    const source = settings || {};
+    const levels = source.levels || {};
+    const levelValues = Object.values(QA_LEVEL);
+    const positive = (value, fallback) => {
+        const number = toNonNegativeNumber(value);
+        return number > 0 ? number : fallback;
+    };
+    return {
+        levels: Object.fromEntries(QA_RULES.map(rule => [
+            rule.id,
+            levelValues.includes(levels[rule.id]) ? levels[rule.id] : rule.level
+        ])),
+        costVariance: positive(source.costVariance, DEFAULT_QA_SETTINGS.costVariance),
+        maxMarkupPercent: positive(source.maxMarkupPercent, DEFAULT_QA_SETTINGS.maxMarkupPercent)
+    };
+}
+
+/**
+ * The user's QA settings (stored with their other settings)
+ *
+ * @param {Object} [userSettings]
+ * @returns {QaSettings}
+ */
+export function getUserQaSettings(userSettings = {}) {
+    return normalizeQaSettings((userSettings || {}).qaSettings);
+}
+
+function normalizeDescription(text) {
+    return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function getUnitCost(item) {
+    return LINE_COST_FIELDS.reduce((sum, field) => sum + toNonNegativeNumber(item[field]), 0);
+}
+
+function getVariance(value, reference) {
+    return reference > 0 ? ((value - reference) / reference) * 100 : 0;
+}
+
+function describeVariance(variance) {
+    return `${Math.round(Math.abs(variance))}% ${variance > 0 ? 'above' : 'below'}`;
+}
+
+function getFormulaError(formula) {
+    const { value, error } = evaluateQuantityFormula(formula);
+    if (error) return error;
+    return value < 0 ? 'Quantity cannot be negative' : null;
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Unit costs of the items in past projects, by description and unit
+ *
+ * @param {Object[]} projects - Saved projects
+ * @returns {Map<string, number[]>}
+ */
+function collectPastUnitCosts(projects) {
+    const costs = new Map();
+    projects.forEach(project => {
+        (project.lineItems || []).forEach(item => {
+            const description = normalizeDescription(item.description);
+            const unitCost = getUnitCost(item);
+            if (!description || !unitCost) return;
+            const key = `${description}|${item.unit || 'ea'}`;
+            if (!costs.has(key)) costs.set(key, []);
+            costs.get(key).push(unitCost);
+        });
+    });
+    return costs;
+}
+
+/**
+ * Check a project against the QA rules
+ *
+ * @param {Object} project - Project data (lineItems, markups, ...)
+ * @param {Object} [options]
+ * @param {QaSettings} [options.settings]
+ * @param {import('./price-book.js').PriceBookEntry[]} [options.priceBook]
+ * @param {Object[]} [options.pastProjects] - Other saved projects to compare unit costs with
+ * @param {import('./units.js').Unit[]} [options.units] - Unit registry
+ * @param {function(number): string} [options.formatMoney] - Writes amounts in messages
+ * @returns {QaIssue[]} Project issues first, then line issues in line order
+ */
+export function runQaChecks(project = {}, options = {}) {
+    const {
+        priceBook = [],
+        pastProjects = [],
+        units = BUILT_IN_UNITS,
+        formatMoney = amount => amount.toFixed(2)
+    } = options;
+    const settings = normalizeQaSettings(options.settings);
+    const items = Array.isArray(project.lineItems) ? project.lineItems : [];
+    const issues = [];
+    const report = (rule, message, target = {}) => {
+        const level = settings.levels[rule];
+        if (level === QA_LEVEL.OFF) return;
+        const { item = null, index = null, markupId = null } = target;
+        issues.push({ rule, level, lineId: item ? item.id || null : null, lineIndex: item ? index : null, markupId, message });
+    };
+
+    getProjectMarkups(project).forEach(markup => {
+        if (markup.type === MARKUP_TYPE.PERCENT && markup.value > settings.maxMarkupPercent) {
+            report('unusual-markup', `${markup.label} is ${markup.value}% (more than ${settings.maxMarkupPercent}%)`, { markupId: markup.id });
+        }
+    });
+
+    const firstLineByDescription = new Map();
+    items.forEach((item, index) => {
+        const description = normalizeDescription(item.description);
+        if (description && !firstLineByDescription.has(description)) {
+            firstLineByDescription.set(description, index);
+        }
+    });
+    const pastUnitCosts = collectPastUnitCosts(pastProjects);
+
+    items.forEach((item, index) => {
+        const description = normalizeDescription(item.description);
+        const quantity = toNonNegativeNumber(item.quantity);
+        const unitCost = getUnitCost(item);
+        const unit = findUnit(units, item.unit || 'ea');
+
+        if (!description) {
+            report('missing-description', 'No description', { item, index });
+        }
+        const formulaError = item.quantityFormula ? getFormulaError(item.quantityFormula) : null;
+        if (formulaError) {
+            report('formula-error', `Quantity formula "${item.quantityFormula}": ${formulaError}`, { item, index });
+        } else if (!quantity) {
+            report('zero-quantity', 'Quantity is 0', { item, index });
+        }
+        // Crew-priced labor comes from the crew, so those lines always have a cost
+        if (!unitCost && !item.crewId) {
+            report('zero-cost', 'No material, labor, equipment or subcontract cost', { item, index });
+        }
+        if (description && firstLineByDescription.get(description) !== index) {
+            report('duplicate-description', `Same description as line #${firstLineByDescription.get(description) + 1}`, { item, index });
+        }
+        if (unit && unit.dimension === 'lump' && quantity && quantity !== 1) {
+            report('unit-quantity', `Lump sum with a quantity of ${quantity} (usually 1)`, { item, index });
+        } else if (unit && unit.dimension === 'count' && !Number.isInteger(quantity)) {
+            report('unit-quantity', `Fractional quantity ${quantity} for a unit counted in whole numbers (${unit.label})`, { item, index });
+        }
+
+        const entry = findPriceBookEntry(priceBook, item);
+        if (entry && entry.unit === (item.unit || 'ea')) {
+            PRICE_BOOK_COST_FIELDS
+                .filter(field => !(field === 'labor' && item.crewId))
+                .forEach(field => {
+                    const value = toNonNegativeNumber(item[field]);
+                    const variance = getVariance(value, entry[field]);
+                    if (Math.abs(variance) > settings.costVariance) {
+                        report('price-book-variance', `${field[0].toUpperCase()}${field.slice(1)} ${formatMoney(value)} is ${describeVariance(variance)} the price book (${formatMoney(entry[field])})`, { item, index });
+                    }
+                });
+        }
+
+        const pastCosts = description && pastUnitCosts.get(`${description}|${item.unit || 'ea'}`);
+        if (pastCosts && unitCost) {
+            const typical = median(pastCosts);
+            const variance = getVariance(unitCost, typical);
+            if (Math.abs(variance) > settings.costVariance) {
+                report('history-variance', `Unit cost ${formatMoney(unitCost)} is ${describeVariance(variance)} past projects (${formatMoney(typical)} typical)`, { item, index });
+            }
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Number of issues that block export and that only warn
+ *
+ * @param {QaIssue[]} issues
+ * @returns {{blocking: number, warnings: number}}
+ */
+export function countQaIssues(issues) {
+    const blocking = issues.filter(issue => issue.level === QA_LEVEL.BLOCK).length;
+    return { blocking, warnings: issues.length - blocking };
+}
@@ -0,0 +1,262 @@
+/**
+ * Quantity Formulas
+ *
+ * Line item quantities can be written as formulas, e.g. "(24*36) - (3*7*2)"
+ * or with named dimensions, "L=24, W=36, L*W":
+ * - + - * / ^ and parentheses, unary minus
+ * - Named dimensions assigned with "=", separated by commas, semicolons or new lines;
+ *   the last statement is the quantity
+ * - A few rounding helpers (ceil, floor, round, sqrt, abs, min, max) and pi
+ *
+ * Formulas are tokenized and parsed here; nothing is ever handed to eval or
+ * new Function, so the same text always gives the same result.
+ */
+
+/**
+ * Longest formula accepted
+ */
+export const MAX_FORMULA_LENGTH = 500;
+
+const FUNCTIONS = {
+    ceil: { arity: 1, apply: ([value]) => Math.ceil(value) },
+    floor: { arity: 1, apply: ([value]) => Math.floor(value) },
+    round: { arity: 1, apply: ([value]) => Math.round(value) },
+    sqrt: { arity: 1, apply: ([value]) => Math.sqrt(value) },
+    abs: { arity: 1, apply: ([value]) => Math.abs(value) },
+    min: { arity: 2, apply: ([a, b]) => Math.min(a, b) },
+    max: { arity: 2, apply: ([a, b]) => Math.max(a, b) }
+};
+
+const CONSTANTS = {
+    PI: Math.PI
+};
+
+/**
+ * @typedef {Object} FormulaResult
+ * @property {number|null} value - The quantity, or null when the formula is invalid
+ * @property {string|null} error - Why the formula could not be evaluated
+ * @property {Object<string, number>} dimensions - Named dimensions, by upper-case name
+ */
+
+class FormulaError extends Error {}
+
+/**
+ * Split a formula into tokens
+ *
+ * @param {string} text
+ * @returns {{type: string, value: string|number}[]}
+ */
+function tokenize(text) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text[index];
+
+        if (char === '\n' || char === ',' || char === ';') {
+            tokens.push({ type: 'separator', value: char });
+            index++;
+        } else if (/\s/.test(char)) {
+            index++;
+        } else if (/[\d.]/.test(char)) {
+            const match = text.slice(index).match(/^(\d+(\.\d*)?|\.\d+)/);
+            if (!match) {
+                throw new FormulaError(`Unexpected "${char}"`);
+            }
+            tokens.push({ type: 'number', value: parseFloat(match[0]) });
+            index += match[0].length;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const match = text.slice(index).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+            tokens.push({ type: 'name', value: match[0] });
+            index += match[0].length;
+        } else if ('+-*/^()='.includes(char)) {
+            tokens.push({ type: 'operator', value: char });
+            index++;
+        } else if (char === '×') {
+            tokens.push({ type: 'operator', value: '*' });
+            index++;
+        } else {
+            throw new FormulaError(`Unexpected "${char}"`);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent evaluation of a token list
+ *
+ * @param {{type: string, value: string|number}[]} tokens
+ * @returns {{value: number, dimensions: Object<string, number>}}
+ */
+function evaluateTokens(tokens) {
+    const dimensions = {};
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = (value, token = peek()) => Boolean(token) && token.type === 'operator' && token.value === value;
+    const expectOperator = (value, message) => {
+        if (!isOperator(value)) throw new FormulaError(message);
+        position++;
+    };
+
+    function parseExpression() {
+        let value = parseTerm();
+        while (isOperator('+') || isOperator('-')) {
+            const operator = tokens[position++].value;
+            const right = parseTerm();
+            value = operator === '+' ? value + right : value - right;
+        }
+        return value;
+    }
+
+    function parseTerm() {
+        let value = parseUnary();
+        while (isOperator('*') || isOperator('/')) {
+            const operator = tokens[position++].value;
+            const right = parseUnary();
+            if (operator === '/' && right === 0) {
+                throw new FormulaError('Division by zero');
+            }
+            value = operator === '*' ? value * right : value / right;
+        }
+        return value;
+    }
+
+    function parseUnary() {
+        if (isOperator('-')) {
+            position++;
+            return -parseUnary();
+        }
+        if (isOperator('+')) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (isOperator('^')) {
+            position++;
+            return Math.pow(base, parseUnary());
+        }
+        return base;
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token || token.type === 'separator') {
+            throw new FormulaError('Formula is incomplete');
+        }
+
+        if (token.type === 'number') {
+            position++;
+            return token.value;
+        }
+
+        if (isOperator('(')) {
+            position++;
+            const value = parseExpression();
+            expectOperator(')', 'Missing closing parenthesis');
+            return value;
+        }
+
+        if (token.type === 'name') {
+            position++;
+            const lowerName = token.value.toLowerCase();
+            const upperName = token.value.toUpperCase();
+
+            if (isOperator('(')) {
+                const fn = FUNCTIONS[lowerName];
+                if (!fn) throw new FormulaError(`Unknown function "${token.value}"`);
+                position++;
+                const args = [parseExpression()];
+                while (peek() && peek().type === 'separator' && peek().value === ',') {
+                    position++;
+                    args.push(parseExpression());
+                }
+                expectOperator(')', 'Missing closing parenthesis');
+                if (args.length !== fn.arity) {
+                    throw new FormulaError(`${lowerName}() takes ${fn.arity} value${fn.arity === 1 ? '' : 's'}`);
+                }
+                return fn.apply(args);
+            }
+
+            if (Object.prototype.hasOwnProperty.call(dimensions, upperName)) return dimensions[upperName];
+            if (Object.prototype.hasOwnProperty.call(CONSTANTS, upperName)) return CONSTANTS[upperName];
+            throw new FormulaError(`Unknown dimension "${token.value}"`);
+        }
+
+        throw new FormulaError(`Unexpected "${token.value}"`);
+    }
+
+    function parseStatement() {
+        const token = peek();
+        if (token && token.type === 'name' && isOperator('=', tokens[position + 1])) {
+            const name = token.value.toUpperCase();
+            if (FUNCTIONS[token.value.toLowerCase()] || CONSTANTS[name]) {
+                throw new FormulaError(`"${token.value}" cannot be used as a dimension name`);
+            }
+            position += 2;
+            dimensions[name] = parseExpression();
+            return dimensions[name];
+        }
+        return parseExpression();
+    }
+
+    let value = null;
+    while (position < tokens.length) {
+        if (peek().type === 'separator') {
+            position++;
+            continue;
+        }
+        value = parseStatement();
+        const next = peek();
+        if (next && next.type !== 'separator') {
+            throw new FormulaError(`Unexpected "${next.value}"`);
+        }
+    }
+
+    if (value === null) {
+        throw new FormulaError('Formula is empty');
+    }
+    return { value, dimensions };
+}
+
+/**
+ * Whether a quantity entry is a formula rather than a plain number
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isQuantityFormula(text) {
+    const trimmed = String(text === undefined || text === null ? '' : text).trim();
+    return trimmed !== '' && !/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(trimmed);
+}
+
+/**
+ * Evaluate a quantity formula
+ *
+ * @param {string} text
+ * @returns {FormulaResult}
+ */
+export function evaluateQuantityFormula(text) {
+    const formula = String(text || '').trim();
+    if (formula.length > MAX_FORMULA_LENGTH) {
+        return { value: null, error: `Formula is longer than ${MAX_FORMULA_LENGTH} characters`, dimensions: {} };
+    }
+
+    try {
+        const { value, dimensions } = evaluateTokens(tokenize(formula));
+        if (!Number.isFinite(value)) {
+            return { value: null, error: 'Formula does not give a finite number', dimensions };
+        }
+        return { value: Math.round(value * 10000) / 10000, error: null, dimensions };
+    } catch (error) {
+        if (error instanceof FormulaError) {
+            return { value: null, error: error.message, dimensions: {} };
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,392 @@
+/**
+ * Revisions
+ *
+ * Named snapshots of a project and the differences between any two of them:
+ * - A revision stores the full project as it was saved, with its total
+ * - Automatic revisions (one per save) are capped by count and by the size of
+ *   their projects; named ones are always kept
+ * - A summary (a revision without its project) lists an older revision whose
+ *   project is kept elsewhere, e.g. in the cloud
+ * - Line items are matched by id, or by description and unit for lines saved
+ *   before line items had ids
+ * - The diff lists added, removed and changed line items, markup and sales tax
+ *   changes, and the change in total
+ */
+
+import { calculateProjectEstimate } from './estimate-engine.js';
+import { getProjectMarkups } from './markup-stack.js';
+import { normalizeTaxSettings, normalizeTaxableOverride } from './sales-tax.js';
+import { normalizeBidType } from './bid-items.js';
+import { toNonNegativeNumber } from './number-utils.js';
+import { getProjectRoundingSettings, sumAmounts } from './money.js';
+
+/**
+ * Automatic revisions kept per project before the oldest are dropped
+ */
+export const MAX_AUTO_REVISIONS = 50;
+
+/**
+ * Characters of project JSON kept across a project's revisions before the oldest
+ * automatic revisions are dropped
+ */
+export const MAX_REVISIONS_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Most recent revisions per project kept with their project in browser storage;
+ * older ones that are in the cloud are kept as summaries
+ */
+export const MAX_LOCAL_REVISIONS = 5;
+
+/**
+ * Line item fields compared by the diff, with how to read them
+ */
+export const LINE_DIFF_FIELDS = [
+    { field: 'description', label: 'Description', type: 'text' },
+    { field: 'quantity', label: 'Quantity', type: 'number' },
+    { field: 'unit', label: 'Unit', type: 'text' },
+    { field: 'material', label: 'Material Cost', type: 'number' },
+    { field: 'waste', label: 'Waste %', type: 'number' },
+    { field: 'labor', label: 'Labor Cost', type: 'number' },
+    { field: 'surcharge', label: 'Labor Surcharge %', type: 'number' },
+    { field: 'equipment', label: 'Equipment Cost', type: 'number' },
+    { field: 'subcontract', label: 'Subcontract Cost', type: 'number' },
+    { field: 'costCode', label: 'Cost Code', type: 'text' },
+    { field: 'crewId', label: 'Crew', type: 'text' },
+    { field: 'productionRate', label: 'Production Rate', type: 'number' },
+    { field: 'taxable', label: 'Taxable', type: 'taxable' },
+    { field: 'bidType', label: 'Bid Item', type: 'bidType' },
+    { field: 'alternateNumber', label: 'Alternate #', type: 'number' },
+    { field: 'notes', label: 'Notes', type: 'text' }
+];
+
+const MARKUP_DIFF_FIELDS = [
+    { field: 'label', label: 'Name' },
+    { field: 'type', label: 'Type' },
+    { field: 'value', label: 'Value' },
+    { field: 'compounding', label: 'Compounding' },
+    { field: 'categories', label: 'Categories' },
+    { field: 'allowances', label: 'Allowances' }
+];
+
+const TAX_DIFF_FIELDS = [
+    { field: 'jurisdiction', label: 'Jurisdiction' },
+    { field: 'rate', label: 'Rate %' },
+    { field: 'categories', label: 'Categories' },
+    { field: 'position', label: 'Markups Before Tax' }
+];
+
+/**
+ * @typedef {Object} Revision
+ * @property {string} id
+ * @property {string} name - e.g. "Rev 1 – Bid set"
+ * @property {string} createdAt - ISO date
+ * @property {boolean} auto - Taken automatically on save
+ * @property {number} total - Base bid total when the revision was taken
+ * @property {number} size - Characters of the project as JSON
+ * @property {number} lineCount - Line items of the project
+ * @property {boolean} synced - Stored in the cloud
+ * @property {Object|null} project - The project as saved, null for a summary
+ */
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} field
+ * @property {string} label
+ * @property {any} before
+ * @property {any} after
+ */
+
+/**
+ * @typedef {Object} LineItemChange
+ * @property {Object} before - Line item in the older project
+ * @property {Object} after - Line item in the newer project
+ * @property {number} totalBefore - Line total before
+ * @property {number} totalAfter - Line total after
+ * @property {FieldChange[]} changes
+ */
+
+/**
+ * @typedef {Object} ProjectDiff
+ * @property {{added: {item: Object, total: number}[], removed: {item: Object, total: number}[], changed: LineItemChange[]}} lineItems
+ * @property {{added: Object[], removed: Object[], changed: {before: Object, after: Object, changes: FieldChange[]}[]}} markups
+ * @property {FieldChange[]} tax - Sales tax setting changes
+ * @property {{before: number, after: number, change: number}} total - Base bid totals
+ * @property {boolean} hasChanges
+ */
+
+/**
+ * Snapshot a project as a revision
+ *
+ * @param {Object} project - Project as saved
+ * @param {Object} options
+ * @param {string} options.id
+ * @param {string} [options.name]
+ * @param {boolean} [options.auto]
+ * @param {string} [options.createdAt]
+ * @returns {Revision}
+ */
+export function createRevision(project, options) {
+    const json = JSON.stringify(project);
+    return normalizeRevision({
+        ...options,
+        total: calculateProjectEstimate(project).total,
+        size: json.length,
+        project: JSON.parse(json)
+    });
+}
+
+/**
+ * Normalize a stored revision
+ *
+ * @param {Object} revision
+ * @param {number} [index]
+ * @returns {Revision}
+ */
+export function normalizeRevision(revision = {}, index = 0) {
+    const project = revision.project && typeof revision.project === 'object' ? revision.project : null;
+    return {
+        id: revision.id ? String(revision.id) : `revision-${index + 1}`,
+        name: (revision.name || '').trim() || (revision.auto ? 'Auto-save' : 'Revision'),
+        createdAt: revision.createdAt || new Date().toISOString(),
+        auto: revision.auto === true,
+        total: Number(revision.total) || 0,
+        size: toNonNegativeNumber(revision.size) || (project ? JSON.stringify(project).length : 0),
+        lineCount: project
+            ? (Array.isArray(project.lineItems) ? project.lineItems.length : 0)
+            : toNonNegativeNumber(revision.lineCount),
+        synced: revision.synced === true,
+        project
+    };
+}
+
+/**
+ * A revision without its project
+ *
+ * @param {Revision} revision
+ * @returns {Revision}
+ */
+export function summarizeRevision(revision) {
+    return { ...revision, project: null };
+}
+
+/**
+ * Revisions as kept in browser storage: the most recent ones with their project,
+ * older ones as summaries once they are in the cloud
+ *
+ * @param {Revision[]} revisions - Newest first
+ * @param {number} [keep]
+ * @returns {Revision[]}
+ */
+export function trimStoredRevisions(revisions, keep = MAX_LOCAL_REVISIONS) {
+    return revisions.map((revision, index) => (index < keep || !revision.synced ? revision : summarizeRevision(revision)));
+}
+
+/**
+ * Combine revisions from two copies of the history (e.g. local and cloud), newest first.
+ * The cloud copy wins; a summary takes the project from the other copy when it has one.
+ *
+ * @param {Object[]} local
+ * @param {Object[]} remote
+ * @returns {Revision[]}
+ */
+export function mergeRevisions(local = [], remote = []) {
+    const byId = new Map();
+    [...remote, ...local].map(normalizeRevision).forEach(revision => {
+        const existing = byId.get(revision.id);
+        if (!existing) {
+            byId.set(revision.id, revision);
+        } else if (!existing.project && revision.project) {
+            byId.set(revision.id, { ...existing, project: revision.project });
+        }
+    });
+    return sortRevisions(Array.from(byId.values()));
+}
+
+/**
+ * Sort revisions newest first
+ *
+ * @param {Revision[]} revisions
+ * @returns {Revision[]}
+ */
+export function sortRevisions(revisions) {
+    return [...revisions].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Drop the oldest automatic revisions beyond the count or size cap. Named revisions
+ * are kept and count towards the size; the newest revision is always kept.
+ *
+ * @param {Revision[]} revisions - Newest first
+ * @param {Object} [options]
+ * @param {number} [options.max] - Most automatic revisions kept
+ * @param {number} [options.maxSize] - Most characters of project JSON kept
+ * @returns {Revision[]}
+ */
+export function pruneRevisions(revisions, options = {}) {
+    const { max = MAX_AUTO_REVISIONS, maxSize = MAX_REVISIONS_SIZE } = options;
+    let autoCount = 0;
+    let size = 0;
+    let full = false;
+    return revisions.filter((revision, index) => {
+        if (revision.auto) {
+            autoCount++;
+            full = full || (index > 0 && (autoCount > max || size + revision.size > maxSize));
+            if (full) return false;
+        }
+        size += revision.size;
+        return true;
+    });
+}
+
+/**
+ * Whether two saved projects hold the same estimate (ignoring when they were saved)
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isSameProjectSnapshot(a, b) {
+    const strip = project => JSON.stringify({ ...project, updatedAt: null });
+    return Boolean(a && b) && strip(a) === strip(b);
+}
+
+function readLineValue(item, { field, type }) {
+    const value = item ? item[field] : undefined;
+    switch (type) {
+        case 'number':
+            return toNonNegativeNumber(value);
+        case 'taxable':
+            return normalizeTaxableOverride(value);
+        case 'bidType':
+            return normalizeBidType(value);
+        default:
+            return value === undefined || value === null ? '' : String(value).trim();
+    }
+}
+
+function formatComparable(value) {
+    return Array.isArray(value) ? value.join(', ') : value;
+}
+
+function diffFields(before, after, fields, read) {
+    return fields
+        .map(definition => ({
+            field: definition.field,
+            label: definition.label,
+            before: formatComparable(read(before, definition)),
+            after: formatComparable(read(after, definition))
+        }))
+        .filter(change => change.before !== change.after);
+}
+
+function getLineKey(item) {
+    return `${String(item.description || '').trim().toLowerCase()}|${item.unit || ''}`;
+}
+
+/**
+ * Pair up line items of two projects: by id first, then by description and unit
+ *
+ * @param {Object[]} beforeItems
+ * @param {Object[]} afterItems
+ * @returns {{pairs: [number, number][], removed: number[], added: number[]}} Indexes into each list
+ */
+function matchLineItems(beforeItems, afterItems) {
+    const pairs = [];
+    const matchedBefore = new Set();
+    const matchedAfter = new Set();
+
+    const afterById = new Map();
+    afterItems.forEach((item, index) => {
+        if (item.id && !afterById.has(item.id)) afterById.set(item.id, index);
+    });
+    beforeItems.forEach((item, index) => {
+        if (item.id && afterById.has(item.id) && !matchedAfter.has(afterById.get(item.id))) {
+            pairs.push([index, afterById.get(item.id)]);
+            matchedBefore.add(index);
+            matchedAfter.add(afterById.get(item.id));
+        }
+    });
+
+    beforeItems.forEach((item, index) => {
+        if (matchedBefore.has(index)) return;
+        const afterIndex = afterItems.findIndex((candidate, candidateIndex) => !matchedAfter.has(candidateIndex)
+            && !(item.id && candidate.id)
+            && getLineKey(candidate) === getLineKey(item));
+        if (afterIndex >= 0) {
+            pairs.push([index, afterIndex]);
+            matchedBefore.add(index);
+            matchedAfter.add(afterIndex);
+        }
+    });
+
+    return {
+        pairs,
+        removed: beforeItems.map((item, index) => index).filter(index => !matchedBefore.has(index)),
+        added: afterItems.map((item, index) => index).filter(index => !matchedAfter.has(index))
+    };
+}
+
+/**
+ * Compare two versions of a project
+ *
+ * @param {Object} before - Older project (e.g. a revision's project)
+ * @param {Object} after - Newer project
+ * @returns {ProjectDiff}
+ */
+export function diffProjects(before = {}, after = {}) {
+    const beforeItems = Array.isArray(before.lineItems) ? before.lineItems : [];
+    const afterItems = Array.isArray(after.lineItems) ? after.lineItems : [];
+    const beforeEstimate = calculateProjectEstimate(before);
+    const afterEstimate = calculateProjectEstimate(after);
+
+    const { pairs, removed, added } = matchLineItems(beforeItems, afterItems);
+    const lineItems = {
+        added: added.map(index => ({ item: afterItems[index], total: afterEstimate.lineItems[index].lineTotal })),
+        removed: removed.map(index => ({ item: beforeItems[index], total: beforeEstimate.lineItems[index].lineTotal })),
+        changed: pairs
+            .map(([beforeIndex, afterIndex]) => ({
+                before: beforeItems[beforeIndex],
+                after: afterItems[afterIndex],
+                totalBefore: beforeEstimate.lineItems[beforeIndex].lineTotal,
+                totalAfter: afterEstimate.lineItems[afterIndex].lineTotal,
+                changes: diffFields(beforeItems[beforeIndex], afterItems[afterIndex], LINE_DIFF_FIELDS, readLineValue)
+            }))
+            .filter(change => change.changes.length > 0)
+    };
+
+    const beforeMarkups = getProjectMarkups(before);
+    const afterMarkups = getProjectMarkups(after);
+    const findMarkup = (markups, markup) => markups.find(candidate => candidate.id === markup.id)
+        || markups.find(candidate => candidate.label === markup.label);
+    const readSetting = (settings, { field }) => settings[field];
+    const markups = {
+        added: afterMarkups.filter(markup => !findMarkup(beforeMarkups, markup)),
+        removed: beforeMarkups.filter(markup => !findMarkup(afterMarkups, markup)),
+        changed: beforeMarkups
+            .map(markup => {
+                const match = findMarkup(afterMarkups, markup);
+                return match ? { before: markup, after: match, changes: diffFields(markup, match, MARKUP_DIFF_FIELDS, readSetting) } : null;
+            })
+            .filter(change => change && change.changes.length > 0)
+    };
+
+    const tax = diffFields(normalizeTaxSettings(before.tax), normalizeTaxSettings(after.tax), TAX_DIFF_FIELDS, readSetting);
+
+    // Totals are rounded to each version's currency decimals; the change keeps the finer of the two
+    const decimals = Math.max(getProjectRoundingSettings(before).decimals, getProjectRoundingSettings(after).decimals);
+    const total = {
+        before: beforeEstimate.total,
+        after: afterEstimate.total,
+        change: sumAmounts([afterEstimate.total, -beforeEstimate.total], decimals)
+    };
+
+    return {
+        lineItems,
+        markups,
+        tax,
+        total,
+        hasChanges: Boolean(lineItems.added.length || lineItems.removed.length || lineItems.changed.length
+            || markups.added.length || markups.removed.length || markups.changed.length || tax.length
+            || total.change !== 0)
+    };
+}
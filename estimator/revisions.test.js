@@ -0,0 +1,171 @@
+/**
+ * Revisions tests
+ *
+ * Run with: node --test estimator/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createRevision,
+    normalizeRevision,
+    trimStoredRevisions,
+    mergeRevisions,
+    pruneRevisions,
+    isSameProjectSnapshot,
+    diffProjects
+} from './revisions.js';
+
+function createProject(lineItems, overrides = {}) {
+    return { markups: [], lineItems, ...overrides };
+}
+
+test('a revision stores a copy of the project with its total', () => {
+    const project = createProject([{ id: 'a', description: 'Drywall', quantity: 10, unit: 'sf', material: 2.5 }]);
+    const revision = createRevision(project, { id: 'rev-1', name: ' Bid set ', createdAt: '2024-03-01T00:00:00.000Z' });
+
+    assert.equal(revision.name, 'Bid set');
+    assert.equal(revision.auto, false);
+    assert.equal(revision.total, 25);
+    assert.equal(revision.size, JSON.stringify(project).length);
+    assert.equal(revision.lineCount, 1);
+    assert.equal(revision.synced, false);
+    assert.deepEqual(revision.project, project);
+    assert.notEqual(revision.project, project);
+});
+
+test('added, removed and changed line items are listed with their totals', () => {
+    const before = createProject([
+        { id: 'a', description: 'Drywall', quantity: 10, unit: 'sf', material: 2.5 },
+        { id: 'b', description: 'Paint', quantity: 1, unit: 'gal', material: 30 },
+        { description: 'Trim', quantity: 4, unit: 'lf', material: 1 }
+    ]);
+    const after = createProject([
+        { id: 'a', description: 'Drywall', quantity: 12, unit: 'sf', material: 2.5 },
+        { id: 't', description: 'Trim', quantity: 4, unit: 'lf', material: 1 },
+        { id: 'c', description: 'Caulk', quantity: 2, unit: 'ea', material: 6 }
+    ]);
+    const diff = diffProjects(before, after);
+
+    assert.deepEqual(diff.lineItems.added.map(({ item, total }) => [item.id, total]), [['c', 12]]);
+    assert.deepEqual(diff.lineItems.removed.map(({ item, total }) => [item.id, total]), [['b', 30]]);
+    assert.equal(diff.lineItems.changed.length, 1);
+    assert.equal(diff.lineItems.changed[0].totalBefore, 25);
+    assert.equal(diff.lineItems.changed[0].totalAfter, 30);
+    assert.deepEqual(diff.lineItems.changed[0].changes, [{ field: 'quantity', label: 'Quantity', before: 10, after: 12 }]);
+    assert.equal(diff.hasChanges, true);
+});
+
+test('markup and sales tax changes are listed', () => {
+    const before = createProject([], {
+        markups: [{ id: 'overhead', label: 'Overhead', value: 10 }, { id: 'bond', label: 'Bond', value: 2 }],
+        tax: { rate: 8 }
+    });
+    const after = createProject([], {
+        markups: [{ id: 'overhead', label: 'Overhead', value: 12 }, { id: 'fee', label: 'Fee', value: 1 }],
+        tax: { rate: 8.25, position: 1 }
+    });
+    const diff = diffProjects(before, after);
+
+    assert.deepEqual(diff.markups.added.map(markup => markup.id), ['fee']);
+    assert.deepEqual(diff.markups.removed.map(markup => markup.id), ['bond']);
+    assert.deepEqual(diff.markups.changed[0].changes, [{ field: 'value', label: 'Value', before: 10, after: 12 }]);
+    assert.deepEqual(diff.tax.map(change => [change.field, change.before, change.after]), [['rate', 8, 8.25], ['position', 0, 1]]);
+});
+
+test('the total change is exact', () => {
+    const before = createProject([{ id: 'a', quantity: 1, material: 0.1 }, { id: 'b', quantity: 1, material: 0.2 }]);
+    const after = createProject([{ id: 'a', quantity: 1, material: 0.5 }, { id: 'b', quantity: 1, material: 0.2 }]);
+    const diff = diffProjects(before, after);
+
+    assert.deepEqual(diff.total, { before: 0.3, after: 0.7, change: 0.4 });
+});
+
+test('identical projects have no changes', () => {
+    const project = createProject([{ id: 'a', description: 'Drywall', quantity: 10, unit: 'sf', material: 2.5 }]);
+    const diff = diffProjects(project, JSON.parse(JSON.stringify(project)));
+
+    assert.equal(diff.total.change, 0);
+    assert.equal(diff.hasChanges, false);
+});
+
+test('a change of one cent is a change', () => {
+    const before = createProject([{ id: 'a', quantity: 1, material: 10 }]);
+    const after = createProject([{ id: 'a', quantity: 1, material: 10.01 }]);
+
+    assert.equal(diffProjects(before, after).total.change, 0.01);
+    assert.equal(diffProjects(before, after).hasChanges, true);
+});
+
+test('snapshots that differ only in their save time are the same', () => {
+    const project = createProject([{ id: 'a', quantity: 1 }], { updatedAt: '2024-03-01T00:00:00.000Z' });
+
+    assert.equal(isSameProjectSnapshot(project, { ...project, updatedAt: '2024-03-02T00:00:00.000Z' }), true);
+    assert.equal(isSameProjectSnapshot(project, { ...project, name: 'Other' }), false);
+    assert.equal(isSameProjectSnapshot(project, null), false);
+});
+
+test('a summary keeps what the revision list shows', () => {
+    const summary = normalizeRevision({ id: 'r1', name: 'Bid set', total: 25, size: 120, lineCount: 3, synced: true });
+
+    assert.equal(summary.project, null);
+    assert.equal(summary.size, 120);
+    assert.equal(summary.lineCount, 3);
+    assert.equal(summary.synced, true);
+});
+
+test('merged revisions are unique and newest first', () => {
+    const local = [{ id: 'r1', createdAt: '2024-03-01T00:00:00.000Z' }, { id: 'r3', createdAt: '2024-03-03T00:00:00.000Z' }];
+    const remote = [{ id: 'r2', createdAt: '2024-03-02T00:00:00.000Z' }, { id: 'r1', createdAt: '2024-03-01T00:00:00.000Z' }];
+
+    assert.deepEqual(mergeRevisions(local, remote).map(revision => revision.id), ['r3', 'r2', 'r1']);
+});
+
+test('a merged summary takes the project from the other copy', () => {
+    const local = [{ id: 'r1', name: 'Local', project: { name: 'Office' } }];
+    const remote = [{ id: 'r1', name: 'Cloud', synced: true, lineCount: 0 }];
+    const [merged] = mergeRevisions(local, remote);
+
+    assert.equal(merged.name, 'Cloud');
+    assert.equal(merged.synced, true);
+    assert.deepEqual(merged.project, { name: 'Office' });
+});
+
+test('only the most recent revisions keep their project in storage, unless not in the cloud yet', () => {
+    const revisions = ['r4', 'r3', 'r2', 'r1'].map(id => normalizeRevision({ id, synced: id !== 'r1', project: { id } }));
+    const stored = trimStoredRevisions(revisions, 2);
+
+    assert.deepEqual(stored.map(revision => revision.project && revision.project.id), ['r4', 'r3', null, 'r1']);
+    assert.deepEqual(stored.map(revision => revision.id), ['r4', 'r3', 'r2', 'r1']);
+});
+
+test('pruning drops the oldest automatic revisions and keeps named ones', () => {
+    const revisions = [
+        { id: 'a3', auto: true, size: 1 },
+        { id: 'named', auto: false, size: 1 },
+        { id: 'a2', auto: true, size: 1 },
+        { id: 'a1', auto: true, size: 1 }
+    ];
+
+    assert.deepEqual(pruneRevisions(revisions, { max: 2 }).map(revision => revision.id), ['a3', 'named', 'a2']);
+});
+
+test('pruning drops the oldest automatic revisions past the size cap', () => {
+    const revisions = [
+        { id: 'a4', auto: true, size: 400 },
+        { id: 'named', auto: false, size: 300 },
+        { id: 'a3', auto: true, size: 200 },
+        { id: 'a2', auto: true, size: 200 },
+        { id: 'a1', auto: true, size: 10 },
+        { id: 'old-named', auto: false, size: 500 }
+    ];
+
+    assert.deepEqual(pruneRevisions(revisions, { maxSize: 1000 }).map(revision => revision.id), ['a4', 'named', 'a3', 'old-named']);
+});
+
+test('the newest revision is kept even when it alone passes the size cap', () => {
+    const revisions = [{ id: 'a2', auto: true, size: 50 }, { id: 'a1', auto: true, size: 5 }];
+
+    assert.deepEqual(pruneRevisions(revisions, { maxSize: 10 }).map(revision => revision.id), ['a2']);
+});
@@ -0,0 +1,124 @@
+/**
+ * Sales Tax
+ *
+ * Project-level sales tax:
+ * - One rate per project, labelled with its jurisdiction
+ * - Applies to chosen cost categories (usually materials, sometimes equipment rental)
+ * - Sits at a chosen position in the markup stack
+ * - Line items can override the default and be fully taxable or exempt
+ */
+
+import { COST_CATEGORIES, createCategoryTotals } from './cost-categories.js';
+import { toNonNegativeNumber, clampPercent } from './number-utils.js';
+import { DEFAULT_ROUNDING_SETTINGS, multiplyAmounts, roundAmount, sumAmounts, allocateAmount } from './money.js';
+
+/**
+ * Tax settings for projects that never configured tax
+ */
+export const DEFAULT_TAX_SETTINGS = {
+    jurisdiction: '',
+    rate: 0,
+    categories: ['materials'],
+    position: 0
+};
+
+/**
+ * @typedef {Object} TaxSettings
+ * @property {string} jurisdiction - Display name (e.g. "Travis County, TX")
+ * @property {number} rate - Tax rate (%)
+ * @property {string[]} categories - Cost categories taxed by default
+ * @property {number} position - Number of markups applied before tax (0 = on direct cost)
+ */
+
+/**
+ * @typedef {TaxSettings & {taxableBase: number, amount: number, categoryAmounts: Object<string, number>}} TaxAmount
+ */
+
+/**
+ * Normalize stored tax settings, filling in defaults
+ *
+ * @param {Object} [tax]
+ * @param {number} [markupCount] - Size of the markup stack, used to clamp the position
+ * @returns {TaxSettings}
+ */
+export function normalizeTaxSettings(tax = {}, markupCount = Infinity) {
+    const settings = tax || {};
+    const categories = Array.isArray(settings.categories)
+        ? COST_CATEGORIES.filter(category => settings.categories.includes(category))
+        : [...DEFAULT_TAX_SETTINGS.categories];
+    const position = Math.floor(toNonNegativeNumber(settings.position));
+
+    return {
+        jurisdiction: (settings.jurisdiction || '').trim(),
+        rate: clampPercent(settings.rate),
+        categories,
+        position: Math.min(position, markupCount)
+    };
+}
+
+/**
+ * Normalize a line item's taxable override.
+ * true = every category of the line is taxable, false = exempt, null = project default.
+ *
+ * @param {any} value
+ * @returns {boolean|null}
+ */
+export function normalizeTaxableOverride(value) {
+    if (value === true || value === 'true' || value === 'yes') return true;
+    if (value === false || value === 'false' || value === 'no') return false;
+    return null;
+}
+
+/**
+ * Direct cost of a line item that is subject to tax, per category
+ *
+ * @param {Object} item - Line item (for the taxable override)
+ * @param {Object<string, number>} categoryTotals - The line's direct cost per category
+ * @param {TaxSettings} tax
+ * @returns {Object<string, number>}
+ */
+export function getTaxableLineCosts(item, categoryTotals, tax) {
+    const override = normalizeTaxableOverride(item && item.taxable);
+    const taxable = createCategoryTotals();
+    COST_CATEGORIES.forEach(category => {
+        const included = override === null ? tax.categories.includes(category) : override;
+        taxable[category] = included ? categoryTotals[category] : 0;
+    });
+    return taxable;
+}
+
+/**
+ * Calculate sales tax at its position in the markup stack
+ *
+ * The taxable direct cost of each category is grown by the markups already
+ * applied to that category, so tax placed after overhead is charged on the
+ * marked-up amount.
+ *
+ * @param {TaxSettings} tax
+ * @param {Object<string, number>} taxableDirect - Taxable direct cost per category
+ * @param {Object<string, number>} subtotals - Direct cost per category
+ * @param {Object<string, number>} running - Category totals after the markups before tax
+ * @param {import('./money.js').RoundingSettings} [rounding] - The taxable base and the tax
+ *     are rounded to the currency's decimal places; the tax is split across categories in whole units
+ * @returns {TaxAmount}
+ */
+export function calculateSalesTax(tax, taxableDirect, subtotals, running, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const { decimals, mode } = rounding;
+    const bases = COST_CATEGORIES.map(category => (subtotals[category] > 0
+        ? multiplyAmounts([taxableDirect[category], running[category]], [subtotals[category]], decimals, mode)
+        : roundAmount(taxableDirect[category], decimals, mode)));
+    const taxableBase = sumAmounts(bases, decimals);
+    const amount = multiplyAmounts([taxableBase, tax.rate], [100], decimals, mode);
+
+    const categoryAmounts = createCategoryTotals();
+    allocateAmount(amount, bases, decimals).forEach((share, index) => {
+        categoryAmounts[COST_CATEGORIES[index]] = share;
+    });
+
+    return {
+        ...tax,
+        taxableBase,
+        amount,
+        categoryAmounts
+    };
+}
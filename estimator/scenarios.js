@@ -0,0 +1,180 @@
+/**
+ * What-If Scenarios
+ *
+ * Named sets of overrides evaluated against a project's line items without
+ * changing the live estimate:
+ * - Markup values (e.g. profit at 8% instead of 12%)
+ * - A % adjustment per cost category (e.g. materials +5%), applied to the unit
+ *   costs of every line; crew-priced labor is adjusted through the trade wages
+ * - Excluded line items
+ * A scenario can be promoted: the same overrides applied to the live project.
+ */
+
+import { COST_CATEGORIES } from './cost-categories.js';
+import { getProjectMarkups, normalizeMarkup } from './markup-stack.js';
+import { getProjectTrades } from './crews.js';
+import { createLineTotalsCache, calculateProjectEstimate } from './estimate-engine.js';
+import { getProjectRoundingSettings, sumAmounts } from './money.js';
+
+/**
+ * Line item unit cost field adjusted for each cost category
+ */
+export const CATEGORY_COST_FIELDS = {
+    materials: 'material',
+    labor: 'labor',
+    equipment: 'equipment',
+    subcontract: 'subcontract'
+};
+
+/**
+ * @typedef {Object} Scenario
+ * @property {string} id
+ * @property {string} name
+ * @property {Object<string, number>} markupValues - Markup value overrides, by markup id
+ * @property {Object<string, number>} adjustments - % change per cost category (-100 or more)
+ * @property {string[]} excludedLineIds - Line items left out of the scenario
+ */
+
+/**
+ * @typedef {Object} ScenarioResult
+ * @property {string|null} id - Scenario id, null for the live estimate
+ * @property {string} name
+ * @property {import('./estimate-engine.js').EstimateResult} estimate
+ * @property {number} change - Total minus the live estimate's total
+ */
+
+/**
+ * Parse a % adjustment, which may be negative but not below -100%
+ *
+ * @param {any} value
+ * @returns {number}
+ */
+export function normalizeAdjustment(value) {
+    return Math.max(-100, parseFloat(value) || 0);
+}
+
+/**
+ * Normalize a stored scenario
+ *
+ * @param {Object} scenario
+ * @param {number} [index]
+ * @returns {Scenario}
+ */
+export function normalizeScenario(scenario = {}, index = 0) {
+    const markupValues = {};
+    Object.entries(scenario.markupValues || {}).forEach(([markupId, value]) => {
+        if (value !== '' && value !== null && value !== undefined && Number.isFinite(parseFloat(value))) {
+            markupValues[markupId] = Math.max(0, parseFloat(value));
+        }
+    });
+
+    const adjustments = {};
+    COST_CATEGORIES.forEach(category => {
+        const adjustment = normalizeAdjustment((scenario.adjustments || {})[category]);
+        if (adjustment) adjustments[category] = adjustment;
+    });
+
+    return {
+        id: scenario.id ? String(scenario.id) : `scenario-${index + 1}`,
+        name: (scenario.name || '').trim() || `Scenario ${index + 1}`,
+        markupValues,
+        adjustments,
+        excludedLineIds: Array.isArray(scenario.excludedLineIds) ? scenario.excludedLineIds.map(String) : []
+    };
+}
+
+/**
+ * Get a project's scenarios
+ *
+ * @param {Object} project
+ * @returns {Scenario[]}
+ */
+export function getProjectScenarios(project = {}) {
+    return (Array.isArray(project.scenarios) ? project.scenarios : []).map(normalizeScenario);
+}
+
+function adjustCost(value, adjustment) {
+    return Math.round((parseFloat(value) || 0) * (1 + adjustment / 100) * 10000) / 10000;
+}
+
+/**
+ * The project as the scenario sees it
+ *
+ * @param {Object} project
+ * @param {Scenario} scenario
+ * @param {Object} [options]
+ * @param {WeakMap<Object, Object>} [options.adjustedLines] - Adjusted copy of each line, by the
+ *     project's line object; unchanged lines get the same copy on every call with the same
+ *     adjustments, so a line cache keeps their totals
+ * @returns {Object} A new project object; the original is not changed
+ */
+export function applyScenario(project, scenario, options = {}) {
+    const { adjustedLines = null } = options;
+    const normalized = normalizeScenario(scenario);
+    const excluded = new Set(normalized.excludedLineIds);
+    const adjustment = category => normalized.adjustments[category] || 0;
+
+    const markups = getProjectMarkups(project).map((markup, index) => {
+        if (!Object.prototype.hasOwnProperty.call(normalized.markupValues, markup.id)) return markup;
+        return normalizeMarkup({ ...markup, value: normalized.markupValues[markup.id] }, index);
+    });
+
+    const lineItems = (Array.isArray(project.lineItems) ? project.lineItems : [])
+        .filter(item => !(item.id && excluded.has(item.id)))
+        .map(item => {
+            if (adjustedLines && adjustedLines.has(item)) {
+                return adjustedLines.get(item);
+            }
+            const adjusted = { ...item };
+            COST_CATEGORIES.forEach(category => {
+                const field = CATEGORY_COST_FIELDS[category];
+                // Crew-priced labor comes from the trade wages, adjusted below
+                if (adjustment(category) && !(category === 'labor' && item.crewId)) {
+                    adjusted[field] = adjustCost(item[field], adjustment(category));
+                }
+            });
+            if (adjustedLines) {
+                adjustedLines.set(item, adjusted);
+            }
+            return adjusted;
+        });
+
+    const trades = adjustment('labor')
+        ? getProjectTrades(project).map(trade => ({ ...trade, wage: adjustCost(trade.wage, adjustment('labor')) }))
+        : project.trades;
+
+    return { ...project, markups, trades, lineItems };
+}
+
+/**
+ * Evaluate the live estimate and every scenario side by side
+ *
+ * @param {Object} project
+ * @param {Object} [options] - Passed on to calculateProjectEstimate for the live estimate
+ * @param {import('./estimate-engine.js').LineTotalsCache} [options.lineCache] - Also keeps each
+ *     scenario's adjusted lines and their totals, until the scenario's adjustments change
+ * @returns {ScenarioResult[]} The live estimate first
+ */
+export function compareScenarios(project = {}, options = {}) {
+    const { lineCache = null } = options;
+    const live = calculateProjectEstimate(project, options);
+    const { decimals } = getProjectRoundingSettings(project);
+    const scenarioCaches = new Map();
+    const results = getProjectScenarios(project).map(scenario => {
+        const cache = lineCache ? getScenarioCache(lineCache, scenario) : null;
+        const applied = applyScenario(project, scenario, { adjustedLines: cache && cache.adjustedLines });
+        const estimate = calculateProjectEstimate(applied, { lineCache: cache && cache.lineCache });
+        if (cache) scenarioCaches.set(scenario.id, cache);
+        return { id: scenario.id, name: scenario.name, estimate, change: sumAmounts([estimate.total, -live.total], decimals) };
+    });
+    // Caches of scenarios that were removed are dropped
+    if (lineCache) lineCache.scenarios = scenarioCaches;
+    return [{ id: null, name: 'Live Estimate', estimate: live, change: 0 }, ...results];
+}
+
+function getScenarioCache(lineCache, scenario) {
+    const key = JSON.stringify(scenario.adjustments);
+    const cache = lineCache.scenarios && lineCache.scenarios.get(scenario.id);
+    if (cache && cache.key === key) return cache;
+    return { key, adjustedLines: new WeakMap(), lineCache: createLineTotalsCache() };
+}
@@ -0,0 +1,130 @@
+/**
+ * Line Item Sections
+ *
+ * Named groups of line items within a project (e.g. "Site Work", "Building Shell"):
+ * - Sections are kept in order; each line item belongs to one section, or to none
+ *   (lines listed before the first section)
+ * - Lines are listed section by section, in their saved order within a section
+ * - A section's subtotal is the direct cost of its lines
+ */
+
+import { DEFAULT_ROUNDING_SETTINGS, getLineDecimals, roundAmount, sumAmounts } from './money.js';
+
+/**
+ * @typedef {Object} Section
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} collapsed - Its lines are hidden in the line item list
+ */
+
+/**
+ * @typedef {Object} SectionGroup
+ * @property {Section|null} section - null for lines outside any section
+ * @property {number[]} lineIndexes - Lines in the group, in project order
+ */
+
+/**
+ * @typedef {Object} SectionSummary
+ * @property {Section|null} section - null for lines outside any section
+ * @property {number} lineCount - Lines in the group
+ * @property {number[]|null} lineIndexes - Lines in the group, in project order (null when
+ *     summed from running sums)
+ * @property {number} total - Direct cost of the group's lines
+ */
+
+/**
+ * Normalize a stored section
+ *
+ * @param {Object} section
+ * @param {number} [index]
+ * @returns {Section}
+ */
+export function normalizeSection(section = {}, index = 0) {
+    return {
+        id: section.id ? String(section.id) : `section-${index + 1}`,
+        name: (section.name || '').trim() || `Section ${index + 1}`,
+        collapsed: section.collapsed === true
+    };
+}
+
+/**
+ * Get a project's sections, dropping repeated ids
+ *
+ * @param {Object} project
+ * @returns {Section[]}
+ */
+export function getProjectSections(project = {}) {
+    const seen = new Set();
+    return (Array.isArray(project.sections) ? project.sections : [])
+        .map(normalizeSection)
+        .filter(section => {
+            if (seen.has(section.id)) return false;
+            seen.add(section.id);
+            return true;
+        });
+}
+
+/**
+ * List line items section by section: lines outside any section (or in a section
+ * that no longer exists) first, then every section in order, even when empty
+ *
+ * @param {Object[]} items - Line items with an optional sectionId
+ * @param {Section[]} sections
+ * @returns {SectionGroup[]}
+ */
+export function groupLinesBySection(items, sections) {
+    const groups = [{ section: null, lineIndexes: [] }, ...sections.map(section => ({ section, lineIndexes: [] }))];
+    const groupById = new Map(groups.slice(1).map(group => [group.section.id, group]));
+    items.forEach((item, index) => {
+        (groupById.get(item.sectionId) || groups[0]).lineIndexes.push(index);
+    });
+    return groups[0].lineIndexes.length ? groups : groups.slice(1);
+}
+
+/**
+ * Direct cost per section
+ *
+ * @param {Object[]} items - Line items with an optional sectionId
+ * @param {import('./estimate-engine.js').LineItemTotals[]} lineTotals - Matching calculateLineItem results
+ * @param {Section[]} sections
+ * @param {import('./money.js').RoundingSettings} [rounding]
+ * @returns {SectionSummary[]}
+ */
+export function summarizeBySection(items, lineTotals, sections, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const lineDecimals = getLineDecimals(rounding);
+    return groupLinesBySection(items, sections).map(group => ({
+        ...group,
+        lineCount: group.lineIndexes.length,
+        total: roundAmount(
+            sumAmounts(group.lineIndexes.map(index => lineTotals[index].lineTotal), lineDecimals),
+            rounding.decimals,
+            rounding.mode
+        )
+    }));
+}
+
+/**
+ * Direct cost per section from running sums of the line totals (see createLineSums in
+ * estimate-engine.js); lines of sections that no longer exist count as outside any section
+ *
+ * @param {Map<string, {lineCount: number, amounts: Object<string, number>}>} sectionSums - By section id ('' for none)
+ * @param {Section[]} sections
+ * @param {import('./money.js').RoundingSettings} [rounding]
+ * @returns {SectionSummary[]}
+ */
+export function summarizeSectionSums(sectionSums, sections, rounding = DEFAULT_ROUNDING_SETTINGS) {
+    const lineDecimals = getLineDecimals(rounding);
+    const groups = [{ section: null, lineCount: 0, amounts: [] }, ...sections.map(section => ({ section, lineCount: 0, amounts: [] }))];
+    const groupById = new Map(groups.slice(1).map(group => [group.section.id, group]));
+    sectionSums.forEach((sum, sectionId) => {
+        const group = groupById.get(sectionId) || groups[0];
+        group.lineCount += sum.lineCount;
+        group.amounts.push(...Object.values(sum.amounts));
+    });
+    return (groups[0].lineCount ? groups : groups.slice(1)).map(group => ({
+        section: group.section,
+        lineCount: group.lineCount,
+        lineIndexes: null,
+        total: roundAmount(sumAmounts(group.amounts, lineDecimals), rounding.decimals, rounding.mode)
+    }));
+}
@@ -0,0 +1,195 @@
+/**
+ * Units of Measure
+ *
+ * Registry of the units line items can be measured in:
+ * - Length, area, volume, weight and time, imperial and metric
+ * - Each unit has a factor to its dimension's base unit (m, m², m³, kg, hr)
+ * - Custom units (e.g. "sheet" = 32 sqft, roofing "square" = 100 sqft) are
+ *   defined against any built-in unit
+ * - Quantities and unit prices convert between units of the same dimension
+ */
+
+import { toNonNegativeNumber } from './number-utils.js';
+
+/**
+ * Unit dimensions, in the order they are listed
+ */
+export const UNIT_DIMENSIONS = [
+    { id: 'count', label: 'Count' },
+    { id: 'length', label: 'Length' },
+    { id: 'area', label: 'Area' },
+    { id: 'volume', label: 'Volume' },
+    { id: 'weight', label: 'Weight' },
+    { id: 'time', label: 'Time' },
+    { id: 'lump', label: 'Lump Sum' }
+];
+
+/**
+ * Built-in units. The first eight keep the ids line items have always used.
+ * Days and weeks are working time (8-hour days, 5-day weeks).
+ */
+export const BUILT_IN_UNITS = [
+    { id: 'ea', label: 'Each', dimension: 'count', factor: 1 },
+    { id: 'sqft', label: 'Sq Ft', dimension: 'area', factor: 0.09290304, system: 'imperial' },
+    { id: 'sqm', label: 'Sq M', dimension: 'area', factor: 1, system: 'metric' },
+    { id: 'lf', label: 'Lin Ft', dimension: 'length', factor: 0.3048, system: 'imperial' },
+    { id: 'cy', label: 'Cu Yd', dimension: 'volume', factor: 0.764554857984, system: 'imperial' },
+    { id: 'hr', label: 'Hours', dimension: 'time', factor: 1 },
+    { id: 'day', label: 'Days', dimension: 'time', factor: 8 },
+    { id: 'ls', label: 'Lump Sum', dimension: 'lump', factor: 1 },
+    { id: 'in', label: 'Inches', dimension: 'length', factor: 0.0254, system: 'imperial' },
+    { id: 'yd', label: 'Yards', dimension: 'length', factor: 0.9144, system: 'imperial' },
+    { id: 'mi', label: 'Miles', dimension: 'length', factor: 1609.344, system: 'imperial' },
+    { id: 'mm', label: 'Millimeters', dimension: 'length', factor: 0.001, system: 'metric' },
+    { id: 'm', label: 'Meters', dimension: 'length', factor: 1, system: 'metric' },
+    { id: 'km', label: 'Kilometers', dimension: 'length', factor: 1000, system: 'metric' },
+    { id: 'sqyd', label: 'Sq Yd', dimension: 'area', factor: 0.83612736, system: 'imperial' },
+    { id: 'acre', label: 'Acres', dimension: 'area', factor: 4046.8564224, system: 'imperial' },
+    { id: 'ha', label: 'Hectares', dimension: 'area', factor: 10000, system: 'metric' },
+    { id: 'bf', label: 'Board Ft', dimension: 'volume', factor: 0.002359737216, system: 'imperial' },
+    { id: 'gal', label: 'Gallons', dimension: 'volume', factor: 0.003785411784, system: 'imperial' },
+    { id: 'cf', label: 'Cu Ft', dimension: 'volume', factor: 0.028316846592, system: 'imperial' },
+    { id: 'l', label: 'Liters', dimension: 'volume', factor: 0.001, system: 'metric' },
+    { id: 'm3', label: 'Cu M', dimension: 'volume', factor: 1, system: 'metric' },
+    { id: 'lb', label: 'Pounds', dimension: 'weight', factor: 0.45359237, system: 'imperial' },
+    { id: 'ton', label: 'Tons (US)', dimension: 'weight', factor: 907.18474, system: 'imperial' },
+    { id: 'kg', label: 'Kilograms', dimension: 'weight', factor: 1, system: 'metric' },
+    { id: 't', label: 'Metric Tons', dimension: 'weight', factor: 1000, system: 'metric' },
+    { id: 'min', label: 'Minutes', dimension: 'time', factor: 1 / 60 },
+    { id: 'wk', label: 'Weeks', dimension: 'time', factor: 40 }
+];
+
+/**
+ * @typedef {Object} Unit
+ * @property {string} id
+ * @property {string} label
+ * @property {string} dimension - One of UNIT_DIMENSIONS
+ * @property {number} factor - Size of the unit in its dimension's base unit
+ * @property {string} [system] - 'imperial' or 'metric'
+ * @property {boolean} [custom] - User-defined
+ */
+
+/**
+ * @typedef {Object} CustomUnit
+ * @property {string} id
+ * @property {string} label
+ * @property {number} factor - How many baseUnit one of this unit is (e.g. 32 for a sheet of sqft)
+ * @property {string} baseUnit - Built-in unit id the factor refers to
+ */
+
+/**
+ * Turn a unit name into an id ("Roofing Square" → "roofing-square")
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function createUnitId(name) {
+    return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Normalize a stored custom unit
+ *
+ * @param {Object} unit
+ * @returns {CustomUnit}
+ */
+export function normalizeCustomUnit(unit = {}) {
+    const label = (unit.label || '').trim();
+    const baseUnit = BUILT_IN_UNITS.some(builtIn => builtIn.id === unit.baseUnit) ? unit.baseUnit : 'ea';
+    return {
+        id: unit.id ? String(unit.id) : createUnitId(label),
+        label,
+        factor: toNonNegativeNumber(unit.factor) || 1,
+        baseUnit
+    };
+}
+
+/**
+ * Get the user's custom units, dropping unnamed ones and ones clashing with built-in ids
+ *
+ * @param {Object} settings - User settings
+ * @returns {CustomUnit[]}
+ */
+export function getUserCustomUnits(settings = {}) {
+    return (Array.isArray(settings.customUnits) ? settings.customUnits : [])
+        .map(normalizeCustomUnit)
+        .filter(unit => unit.id && unit.label && !BUILT_IN_UNITS.some(builtIn => builtIn.id === unit.id));
+}
+
+/**
+ * Built-in units followed by the custom ones, resolved to base-unit factors
+ *
+ * @param {CustomUnit[]} [customUnits]
+ * @returns {Unit[]}
+ */
+export function getUnitRegistry(customUnits = []) {
+    const custom = customUnits.map(normalizeCustomUnit).map(unit => {
+        const base = BUILT_IN_UNITS.find(builtIn => builtIn.id === unit.baseUnit);
+        return {
+            id: unit.id,
+            label: unit.label,
+            dimension: base.dimension,
+            factor: unit.factor * base.factor,
+            system: base.system,
+            custom: true
+        };
+    });
+    return [...BUILT_IN_UNITS, ...custom];
+}
+
+/**
+ * Look up a unit by id
+ *
+ * @param {Unit[]} registry
+ * @param {string} unitId
+ * @returns {Unit|null}
+ */
+export function findUnit(registry, unitId) {
+    return registry.find(unit => unit.id === unitId) || null;
+}
+
+/**
+ * Whether values can be converted between two units (same dimension, not lump sum)
+ *
+ * @param {Unit[]} registry
+ * @param {string} fromUnitId
+ * @param {string} toUnitId
+ * @returns {boolean}
+ */
+export function canConvertUnits(registry, fromUnitId, toUnitId) {
+    const from = findUnit(registry, fromUnitId);
+    const to = findUnit(registry, toUnitId);
+    return Boolean(from && to) && from.id !== to.id && from.dimension === to.dimension && from.dimension !== 'lump';
+}
+
+function roundConverted(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Convert a quantity (or any per-unit count, like a production rate) to another unit
+ *
+ * @param {Unit[]} registry
+ * @param {number} quantity
+ * @param {string} fromUnitId
+ * @param {string} toUnitId
+ * @returns {number} The quantity unchanged when the units cannot be converted
+ */
+export function convertQuantity(registry, quantity, fromUnitId, toUnitId) {
+    if (!canConvertUnits(registry, fromUnitId, toUnitId)) return quantity;
+    return roundConverted(quantity * findUnit(registry, fromUnitId).factor / findUnit(registry, toUnitId).factor);
+}
+
+/**
+ * Convert a price per unit to another unit
+ *
+ * @param {Unit[]} registry
+ * @param {number} price
+ * @param {string} fromUnitId
+ * @param {string} toUnitId
+ * @returns {number} The price unchanged when the units cannot be converted
+ */
+export function convertUnitPrice(registry, price, fromUnitId, toUnitId) {
+    if (!canConvertUnits(registry, fromUnitId, toUnitId)) return price;
+    return roundConverted(price * findUnit(registry, toUnitId).factor / findUnit(registry, fromUnitId).factor);
+}